@@ -0,0 +1,76 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import analyze from '../analyze.js';
+import chat from '../chat.js';
+import { fakeRes } from './testing.js';
+import { parseAnalysis } from '../../src/lib/analysisSchema.js';
+import { splitActions } from '../../src/lib/chatActions.js';
+
+const summary = {
+  name: 'Sam', age: '34', currency: 'AUD', monthlyIncome: 6000, tax: null, expenses: 3000, surplus: 3000, rate: 50,
+  cash: 10000, cashFloor: 5000, cardBalance: 800, creditTarget: 500, debts: [], debtFreeMonths: 0,
+  assets: { etfs: 20000, crypto: 0, super: 40000, property: 0, other_assets: 0 }, equity: null, goals: [], budget: null, retirement: null, netWorth: 69200,
+};
+
+let ip = 0;
+const call = async (handler, body, method = 'POST') => {
+  const res = fakeRes();
+  await handler({ method, body, headers: { 'x-forwarded-for': `192.0.2.${++ip}` } }, res);
+  return res;
+};
+
+beforeEach(() => { process.env.ANALYZE_MOCK = '1'; });
+
+test('analyze returns the mock analysis offline', async () => {
+  const res = await call(analyze, { summary });
+  assert.equal(res.statusCode, 200);
+  const { value } = parseAnalysis(res.body.content[0].text);
+  assert.equal(value.insights.length, 3);
+});
+
+test('analyze streams the mock as SSE', async () => {
+  const res = await call(analyze, { summary, stream: true });
+  assert.equal(res.headers['content-type'], 'text/event-stream');
+  const text = res.chunks.join('');
+  assert.match(text, /^event: message_start/);
+  assert.match(text, /event: message_stop/);
+});
+
+test('analyze rejects bad methods, models, summaries and repairs', async () => {
+  assert.equal((await call(analyze, {}, 'GET')).statusCode, 405);
+  assert.match((await call(analyze, { summary, model: 'gpt' })).body.error, /Model not allowed/);
+  const bad = await call(analyze, { summary: { ...summary, currency: 'JPY' } });
+  assert.equal(bad.statusCode, 400);
+  assert.deepEqual(bad.body.details, ['invalid currency']);
+  assert.equal((await call(analyze, { summary, repair: { previous: 1 } })).body.error, 'Invalid repair request');
+  assert.equal((await call(analyze, { summary, repair: { previous: '{}', errors: ['missing headline'] } })).statusCode, 200);
+});
+
+test('upstream errors pass through with their status', async () => {
+  process.env.ANALYZE_MOCK = '529';
+  const res = await call(analyze, { summary });
+  assert.equal(res.statusCode, 529);
+  assert.equal(res.body.error.type, 'mock_error');
+});
+
+test('repeat callers are rate limited with Retry-After', async () => {
+  const req = () => ({ method: 'POST', body: { summary }, headers: { 'x-forwarded-for': '192.0.2.250' } });
+  for (let i = 0; i < 10; i++) await analyze(req(), fakeRes());
+  const res = fakeRes();
+  await analyze(req(), res);
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.headers['retry-after'], String(res.body.retryAfter));
+});
+
+test('chat replies with suggested actions offline', async () => {
+  const res = await call(chat, { summary, messages: [{ role: 'user', content: 'Should I pay the card?' }] });
+  assert.equal(res.statusCode, 200);
+  const { actions } = splitActions(res.body.content[0].text);
+  assert.equal(actions[0].field, 'debtExtra');
+});
+
+test('chat validates the conversation', async () => {
+  const res = await call(chat, { summary, messages: [{ role: 'assistant', content: 'hi' }] });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, 'Invalid messages');
+});
@@ -0,0 +1,20 @@
+// Fixed-window, per-IP rate limiting. State lives in the function instance,
+// so limits are per warm instance rather than global — enough to stop one
+// client from burning the key in a loop.
+
+const WINDOW_MS = 60_000;
+const MAX_REQUESTS = Number(process.env.ANALYZE_RATE_LIMIT) || 10;
+const windows = new Map();
+
+export const clientIp = (req) =>
+  String(req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.socket?.remoteAddress || 'unknown';
+
+export function rateLimit(ip, now = Date.now()) {
+  for (const [key, w] of windows) if (now - w.start >= WINDOW_MS) windows.delete(key);
+  const w = windows.get(ip) || { start: now, count: 0 };
+  w.count++;
+  windows.set(ip, w);
+  return w.count > MAX_REQUESTS
+    ? { allowed: false, retryAfter: Math.ceil((w.start + WINDOW_MS - now) / 1000) }
+    : { allowed: true };
+}
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { clientIp, rateLimit } from './rateLimit.js';
+
+test('clientIp takes the first forwarded address', () => {
+  assert.equal(clientIp({ headers: { 'x-forwarded-for': '203.0.113.5, 10.0.0.1' } }), '203.0.113.5');
+  assert.equal(clientIp({ headers: {}, socket: { remoteAddress: '127.0.0.1' } }), '127.0.0.1');
+  assert.equal(clientIp({ headers: {} }), 'unknown');
+});
+
+test('the eleventh request in a window is refused with retryAfter', () => {
+  const start = 1_000_000;
+  for (let i = 0; i < 10; i++) assert.deepEqual(rateLimit('198.51.100.1', start + i), { allowed: true });
+  assert.deepEqual(rateLimit('198.51.100.1', start + 15_000), { allowed: false, retryAfter: 45 });
+  assert.deepEqual(rateLimit('198.51.100.1', start + 59_001), { allowed: false, retryAfter: 1 });
+});
+
+test('limits are per address', () => {
+  const start = 2_000_000;
+  for (let i = 0; i < 11; i++) rateLimit('198.51.100.2', start);
+  assert.deepEqual(rateLimit('198.51.100.3', start), { allowed: true });
+});
+
+test('a new window starts once the old one expires', () => {
+  const start = 3_000_000;
+  for (let i = 0; i < 11; i++) rateLimit('198.51.100.4', start);
+  assert.equal(rateLimit('198.51.100.4', start + 59_999).allowed, false);
+  assert.deepEqual(rateLimit('198.51.100.4', start + 60_000), { allowed: true });
+});
@@ -0,0 +1,85 @@
+// The financial summary the client is allowed to send. Nothing the client
+// sends reaches Anthropic except through these checks; the prompts built
+// from a valid summary live in src/lib/finance.js.
+
+import { goalStatuses } from '../../src/lib/goals.js';
+
+const CURRENCIES = ['AUD', 'USD', 'GBP', 'EUR'];
+const MAX_AMOUNT = 1e12;
+
+const text = (max) => (v) => v === undefined || v === null ? '' : typeof v === 'string' && v.length <= max ? v.trim() : undefined;
+const amount = (v) => typeof v === 'number' && Number.isFinite(v) && Math.abs(v) <= MAX_AMOUNT ? v : undefined;
+const optionalAmount = (v) => v === null || v === undefined ? null : amount(v);
+const oneOf = (values) => (v) => values.includes(v) ? v : undefined;
+const shape = (fields) => (v) => {
+  if (!v || typeof v !== 'object' || Array.isArray(v)) return undefined;
+  const out = {};
+  for (const [k, check] of Object.entries(fields)) {
+    out[k] = check(v[k]);
+    if (out[k] === undefined) return undefined;
+  }
+  return out;
+};
+const list = (max, item) => (v) => {
+  if (v === undefined) return [];
+  if (!Array.isArray(v) || v.length > max) return undefined;
+  const out = v.map(item);
+  return out.includes(undefined) ? undefined : out;
+};
+const nullable = (check) => (v) => v === null || v === undefined ? null : check(v);
+
+const fields = {
+  name: text(60),
+  age: text(3),
+  currency: oneOf(CURRENCIES),
+  monthlyIncome: amount,
+  tax: nullable(shape({ region: text(60), grossMonthly: amount, superMonthly: amount })),
+  expenses: amount,
+  surplus: amount,
+  rate: amount,
+  cash: amount,
+  cashFloor: amount,
+  cardBalance: amount,
+  creditTarget: amount,
+  debts: list(20, shape({ name: text(60), balance: amount, rate: amount })),
+  debtFreeMonths: optionalAmount,
+  assets: shape({ etfs: amount, crypto: amount, super: amount, property: amount, other_assets: amount }),
+  equity: nullable(shape({ vestedValue: amount, totalValue: amount, exerciseCost: amount })),
+  goals: list(10, shape({ name: text(60), target: amount, current: amount, date: text(10), required: amount, allocated: amount, status: oneOf(goalStatuses) })),
+  budget: nullable(shape({ month: text(7), categories: list(9, shape({ name: text(30), budget: amount, actual: amount })) })),
+  retirement: nullable(shape({ fiNumber: amount, withdrawalRate: amount, medianAge: optionalAmount, preservationAge: amount })),
+  netWorth: amount,
+};
+
+export function validateSummary(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { errors: ['summary must be an object'] };
+  const summary = {}, errors = [];
+  for (const [k, check] of Object.entries(fields)) {
+    summary[k] = check(input[k]);
+    if (summary[k] === undefined) errors.push(`invalid ${k}`);
+  }
+  return errors.length ? { errors } : { summary };
+}
+
+// A re-ask after the client found the previous reply didn't match the schema.
+export function validateRepair(input) {
+  if (input === undefined) return {};
+  const ok = input && typeof input.previous === 'string' && input.previous.length <= 8000
+    && Array.isArray(input.errors) && input.errors.length <= 10 && input.errors.every(e => typeof e === 'string' && e.length <= 300);
+  return ok ? { repair: { previous: input.previous.trim() || '(empty reply)', errors: input.errors } } : { errors: ['invalid repair'] };
+}
+
+const MAX_TURNS = 40;
+const MAX_MESSAGE = 4000;
+
+// Alternating user/assistant turns, starting and ending with the user.
+export function validateMessages(input) {
+  if (!Array.isArray(input) || !input.length || input.length > MAX_TURNS) return { errors: [`messages must have 1-${MAX_TURNS} turns`] };
+  const errors = [];
+  input.forEach((m, i) => {
+    if (!m || m.role !== (i % 2 ? 'assistant' : 'user')) errors.push(`messages[${i}] should be a ${i % 2 ? 'assistant' : 'user'} turn`);
+    else if (typeof m.content !== 'string' || !m.content.trim() || m.content.length > MAX_MESSAGE) errors.push(`messages[${i}].content must be 1-${MAX_MESSAGE} characters`);
+  });
+  if (input.length % 2 === 0) errors.push('last message must be from the user');
+  return errors.length ? { errors } : { messages: input.map(m => ({ role: m.role, content: m.content.trim() })) };
+}
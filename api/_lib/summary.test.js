@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSummary, validateRepair, validateMessages } from './summary.js';
+
+test('validateSummary rejects non-objects and reports each bad field', () => {
+  assert.deepEqual(validateSummary(null), { errors: ['summary must be an object'] });
+  const { errors } = validateSummary({ name: 'x'.repeat(61), currency: 'JPY' });
+  assert.ok(errors.includes('invalid name'));
+  assert.ok(errors.includes('invalid currency'));
+  assert.ok(errors.includes('invalid monthlyIncome'));
+});
+
+test('validateRepair is optional but strict when present', () => {
+  assert.deepEqual(validateRepair(undefined), {});
+  assert.deepEqual(validateRepair({ previous: '  {"a":1} ', errors: ['missing oneMove'] }), { repair: { previous: '{"a":1}', errors: ['missing oneMove'] } });
+  assert.deepEqual(validateRepair({ previous: '', errors: [] }).repair.previous, '(empty reply)');
+  assert.deepEqual(validateRepair({ previous: 'x'.repeat(8001), errors: [] }), { errors: ['invalid repair'] });
+  assert.deepEqual(validateRepair({ previous: 'x', errors: Array(11).fill('e') }), { errors: ['invalid repair'] });
+  assert.deepEqual(validateRepair({ previous: 'x', errors: [42] }), { errors: ['invalid repair'] });
+});
+
+test('validateMessages wants alternating turns ending with the user', () => {
+  assert.deepEqual(validateMessages([{ role: 'user', content: ' hi ' }]), { messages: [{ role: 'user', content: 'hi' }] });
+  assert.deepEqual(validateMessages([]).errors, ['messages must have 1-40 turns']);
+  assert.deepEqual(validateMessages(Array(41).fill({ role: 'user', content: 'x' })).errors, ['messages must have 1-40 turns']);
+  assert.deepEqual(validateMessages([{ role: 'assistant', content: 'x' }]).errors, ['messages[0] should be a user turn']);
+  assert.deepEqual(validateMessages([{ role: 'user', content: 'a' }, { role: 'assistant', content: 'b' }]).errors, ['last message must be from the user']);
+  assert.deepEqual(validateMessages([{ role: 'user', content: '   ' }]).errors, ['messages[0].content must be 1-4000 characters']);
+  assert.deepEqual(validateMessages([{ role: 'user', content: 'x'.repeat(4001) }]).errors, ['messages[0].content must be 1-4000 characters']);
+});
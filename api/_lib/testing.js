@@ -0,0 +1,14 @@
+// A stand-in for the Vercel response object, recording what a handler
+// sends, for the api tests.
+
+export const fakeRes = () => {
+  const res = {
+    statusCode: 200, headers: {}, chunks: [], body: undefined, headersSent: false, ended: false,
+    status(code) { res.statusCode = code; return res; },
+    setHeader(k, v) { res.headers[k.toLowerCase()] = v; },
+    json(body) { res.body = body; res.headersSent = true; res.ended = true; return res; },
+    write(chunk) { res.chunks.push(Buffer.from(chunk).toString()); res.headersSent = true; },
+    end() { res.ended = true; return res; },
+  };
+  return res;
+};
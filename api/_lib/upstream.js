@@ -0,0 +1,88 @@
+// Calls to the Anthropic Messages API, plus an offline mock. Set
+// ANALYZE_MOCK=1 for canned successes, or to an HTTP status (e.g. 429, 529)
+// to get that upstream error back instead.
+
+export const MODELS = {
+  'claude-sonnet-4-20250514': { maxTokens: 1000 },
+};
+export const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+
+// Only allow-listed models, and never more tokens than the model's cap.
+export function resolveModel(body) {
+  const model = body.model ?? DEFAULT_MODEL;
+  if (!MODELS[model]) return { error: `Model not allowed: ${model}` };
+  const maxTokens = body.max_tokens ?? MODELS[model].maxTokens;
+  if (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > MODELS[model].maxTokens) {
+    return { error: `max_tokens must be between 1 and ${MODELS[model].maxTokens}` };
+  }
+  return { model, maxTokens };
+}
+
+const MOCK_ANALYSIS = {
+  headline: 'Steady hands, quiet compounding',
+  insights: [
+    { title: 'Floor is holding', body: 'Cash sits above your floor. That buffer is what lets everything else stay invested.', type: 'celebrate' },
+    { title: 'Card creeping up', body: 'Your card is above target. Clear the gap on the next payday before sweeping to investments.', type: 'warning' },
+    { title: 'Surplus has room', body: 'Your savings rate leaves room to automate more. A fixed transfer removes the decision.', type: 'opportunity' },
+  ],
+  oneMove: 'Automate the payday sweep so the system runs without you.',
+};
+
+const MOCK_CHAT = `Because your card is above target, every dollar there costs you its interest rate, which beats any expected return.
+
+\`\`\`actions
+[{"field":"debtExtra","value":"500","reason":"Clears the card months sooner and saves interest."}]
+\`\`\``;
+
+const sse = (event, data) => `event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`;
+
+function mockUpstream({ model, stream, system }) {
+  const status = Number(process.env.ANALYZE_MOCK);
+  if (status >= 400) {
+    return new Response(JSON.stringify({ type: 'error', error: { type: 'mock_error', message: `Mock upstream returned ${status}` } }), { status, headers: { 'content-type': 'application/json' } });
+  }
+  const text = system ? MOCK_CHAT : JSON.stringify(MOCK_ANALYSIS);
+  if (!stream) {
+    return Response.json({ id: 'msg_mock', type: 'message', role: 'assistant', model, content: [{ type: 'text', text }], stop_reason: 'end_turn' });
+  }
+  const chunks = text.match(/.{1,24}/gs);
+  const body = [
+    sse('message_start', { message: { id: 'msg_mock', model } }),
+    sse('content_block_start', { index: 0, content_block: { type: 'text', text: '' } }),
+    ...chunks.map(t => sse('content_block_delta', { index: 0, delta: { type: 'text_delta', text: t } })),
+    sse('content_block_stop', { index: 0 }),
+    sse('message_stop', {}),
+  ].join('');
+  return new Response(body, { status: 200, headers: { 'content-type': 'text/event-stream' } });
+}
+
+export function callAnthropic(payload) {
+  if (process.env.ANALYZE_MOCK) return Promise.resolve(mockUpstream(payload));
+  return fetch('https://api.anthropic.com/v1/messages', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': process.env.ANTHROPIC_API_KEY,
+      'anthropic-version': '2023-06-01'
+    },
+    body: JSON.stringify(payload)
+  });
+}
+
+// Forwards an upstream response as-is: status, JSON or text error bodies,
+// and SSE streams chunk by chunk.
+export async function relay(upstream, res) {
+  const type = upstream.headers.get('content-type') || '';
+  if (upstream.ok && type.includes('text/event-stream')) {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    for await (const chunk of upstream.body) res.write(chunk);
+    return res.end();
+  }
+  const body = await upstream.text();
+  if (type.includes('application/json')) {
+    try { return res.status(upstream.status).json(JSON.parse(body)); } catch { /* fall through to text */ }
+  }
+  return res.status(upstream.status).json({ error: body || upstream.statusText });
+}
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveModel, relay, DEFAULT_MODEL, MODELS } from './upstream.js';
+import { fakeRes } from './testing.js';
+
+test('resolveModel defaults and caps max_tokens', () => {
+  assert.deepEqual(resolveModel({}), { model: DEFAULT_MODEL, maxTokens: MODELS[DEFAULT_MODEL].maxTokens });
+  assert.deepEqual(resolveModel({ max_tokens: 10 }), { model: DEFAULT_MODEL, maxTokens: 10 });
+  assert.match(resolveModel({ model: 'claude-opus-giant' }).error, /Model not allowed/);
+  for (const max_tokens of [0, 1.5, '100', MODELS[DEFAULT_MODEL].maxTokens + 1]) {
+    assert.match(resolveModel({ max_tokens }).error, /max_tokens must be between 1 and/);
+  }
+});
+
+test('relay passes JSON bodies through with their status', async () => {
+  const res = fakeRes();
+  await relay(Response.json({ type: 'error', error: { message: 'overloaded' } }, { status: 529 }), res);
+  assert.equal(res.statusCode, 529);
+  assert.deepEqual(res.body, { type: 'error', error: { message: 'overloaded' } });
+});
+
+test('relay wraps text and unparseable JSON errors', async () => {
+  const res = fakeRes();
+  await relay(new Response('Bad gateway', { status: 502, headers: { 'content-type': 'text/plain' } }), res);
+  assert.equal(res.statusCode, 502);
+  assert.deepEqual(res.body, { error: 'Bad gateway' });
+
+  const broken = fakeRes();
+  await relay(new Response('{nope', { status: 500, headers: { 'content-type': 'application/json' } }), broken);
+  assert.deepEqual(broken.body, { error: '{nope' });
+
+  const empty = fakeRes();
+  await relay(new Response('', { status: 503, statusText: 'Service Unavailable' }), empty);
+  assert.deepEqual(empty.body, { error: 'Service Unavailable' });
+});
+
+test('relay streams SSE chunk by chunk', async () => {
+  const res = fakeRes();
+  const events = ['event: a\ndata: {}\n\n', 'event: b\ndata: {}\n\n'];
+  const body = new ReadableStream({ start(c) { for (const e of events) c.enqueue(new TextEncoder().encode(e)); c.close(); } });
+  await relay(new Response(body, { status: 200, headers: { 'content-type': 'text/event-stream' } }), res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['content-type'], 'text/event-stream');
+  assert.equal(res.headers['cache-control'], 'no-cache, no-transform');
+  assert.equal(res.chunks.join(''), events.join(''));
+  assert.ok(res.ended);
+});
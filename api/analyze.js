@@ -1,22 +1,44 @@
+import { validateSummary, validateRepair } from './_lib/summary.js';
+import { buildAnalysisPrompt, buildRepairPrompt } from '../src/lib/finance.js';
+import { clientIp, rateLimit } from './_lib/rateLimit.js';
+import { resolveModel, callAnthropic, relay } from './_lib/upstream.js';
+
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  try {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': process.env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify(req.body)
-    });
+  const limit = rateLimit(clientIp(req));
+  if (!limit.allowed) {
+    res.setHeader('Retry-After', String(limit.retryAfter));
+    return res.status(429).json({ error: 'Too many requests', retryAfter: limit.retryAfter });
+  }
+
+  const body = req.body || {};
+  const { model, maxTokens, error } = resolveModel(body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const { summary, errors } = validateSummary(body.summary);
+  if (errors) {
+    return res.status(400).json({ error: 'Invalid summary', details: errors });
+  }
+  const { repair, errors: repairErrors } = validateRepair(body.repair);
+  if (repairErrors) {
+    return res.status(400).json({ error: 'Invalid repair request', details: repairErrors });
+  }
 
-    const data = await response.json();
-    res.status(200).json(data);
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to reach Claude' });
+  const messages = [{ role: 'user', content: buildAnalysisPrompt(summary) }];
+  if (repair) {
+    messages.push({ role: 'assistant', content: repair.previous }, { role: 'user', content: buildRepairPrompt(repair.errors) });
+  }
+
+  const stream = body.stream === true;
+  try {
+    const upstream = await callAnthropic({ model, max_tokens: maxTokens, stream, messages });
+    await relay(upstream, res);
+  } catch {
+    if (res.headersSent) return res.end();
+    res.status(502).json({ error: 'Failed to reach Claude' });
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,38 @@
+import { validateSummary, validateMessages } from './_lib/summary.js';
+import { buildChatSystem } from '../src/lib/finance.js';
+import { clientIp, rateLimit } from './_lib/rateLimit.js';
+import { resolveModel, callAnthropic, relay } from './_lib/upstream.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const limit = rateLimit(clientIp(req));
+  if (!limit.allowed) {
+    res.setHeader('Retry-After', String(limit.retryAfter));
+    return res.status(429).json({ error: 'Too many requests', retryAfter: limit.retryAfter });
+  }
+
+  const body = req.body || {};
+  const { model, maxTokens, error } = resolveModel(body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const { summary, errors } = validateSummary(body.summary);
+  if (errors) {
+    return res.status(400).json({ error: 'Invalid summary', details: errors });
+  }
+  const { messages, errors: messageErrors } = validateMessages(body.messages);
+  if (messageErrors) {
+    return res.status(400).json({ error: 'Invalid messages', details: messageErrors });
+  }
+
+  try {
+    const upstream = await callAnthropic({ model, max_tokens: maxTokens, stream: body.stream === true, system: buildChatSystem(summary), messages });
+    await relay(upstream, res);
+  } catch {
+    if (res.headersSent) return res.end();
+    res.status(502).json({ error: 'Failed to reach Claude' });
+  }
+}
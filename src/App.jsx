@@ -1,106 +1,386 @@
-import { useState, useEffect, useCallback } from 'react';
-import { LineChart, Line, XAxis, YAxis, ResponsiveContainer, Tooltip } from 'recharts';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { LineChart, Line, AreaChart, Area, XAxis, YAxis, ResponsiveContainer, Tooltip, ReferenceLine } from 'recharts';
+import { planPayCycles, isoDate } from './lib/payCycle.js';
+import { recordSnapshot, compareSnapshots } from './lib/history.js';
+import { currencies, formatMoney, formatCompact, currencySymbol, convert, hasRate } from './lib/currency.js';
+import { holdingClasses, newHolding, holdingValue, allocation, uid } from './lib/holdings.js';
+import { parseCsv, toTransactions, categorise, monthlyAverages, monthlyTotals, defaultMapping, defaultRules, delimiters, dateFormats, signConventions } from './lib/csvImport.js';
+import { debtTypes, strategies, newDebt, simulatePayoff } from './lib/debts.js';
+import { partialAnalysis } from './lib/analysisStream.js';
+import { requestAnalysis, requestChatReply } from './lib/analyzeClient.js';
+import { ACTION_FIELDS, splitActions } from './lib/chatActions.js';
+import { grantTypes, cadences, newGrant, upcomingVests, exitScenarios, equitySummary, priceFromValuation } from './lib/equity.js';
+import { SCHEMA_VERSION, migrateState, checkState, isLocked, createKey, encrypt, decrypt, exportFile, importFile } from './lib/vault.js';
+import { priorities, newGoal, planGoals } from './lib/goals.js';
+import { taxRegions, taxRules } from './lib/tax/index.js';
+import { simulateRetirement } from './lib/retirement.js';
+import { monthKey, monthLabel, mergeActuals, budgetReport } from './lib/budget.js';
+import { billCadences, billAccounts, newBill, monthlyBills, forecastCashFlow } from './lib/bills.js';
+import { newProfile, profileName, upsertProfile } from './lib/profiles.js';
+import { num } from './lib/num.js';
+import { expenseCategories, personFinances, monthlyBudget, statusLights, retirementSpending, exitOptions, exitLumpSums, validateForm, buildSummary } from './lib/finance.js';
+import { defaultHousehold, memberCurrencies, splitByIncome, combineHousehold } from './lib/household.js';
+import { buildReport, anonymiseReport } from './lib/report.js';
+import { projectScenarios, defaultReturns, assetClasses, scenarioNames, milestones, clampHorizon, inHorizon, MAX_HORIZON } from './lib/projection.js';
 
-const fmt = (n) => '$' + Math.round(n).toLocaleString();
 const pct = (n) => n.toFixed(1) + '%';
 
 const defaultForm = {
-  name: '', age: '', income: '', frequency: 'annual', currency: 'USD',
-  cash: '', cashFloor: '', creditBalance: '', creditTarget: '',
-  etfs: '', crypto: '', super: '', property: '', other_assets: '',
+  name: '', age: '', income: '', frequency: 'annual', currency: 'USD', taxRegion: 'none', hasHelp: false, salarySacrifice: '',
+  cash: '', cashFloor: '', creditTarget: '', debts: [], debtStrategy: 'avalanche', debtExtra: '', goals: [], bills: [], actuals: {},
+  holdings: [], cashCurrency: '', fxRates: {},
   rent: '', utilities: '', groceries: '', dining: '', transport: '', health: '', subscriptions: '', personal: '', savings_invest: '',
-  hasEquity: false, equityValue: '', vestingMonths: '48', vestedMonths: '', companyVal: '',
-  nextPayday: '', payFrequency: 'fortnightly', expenseFrequency: 'monthly'
+  hasEquity: false, grants: [], companyVal: '', fullyDilutedShares: '', dilution: '20', equityTaxRate: '30', equityInProjection: false, exitMultiple: '1', exitYear: '5',
+  nextPayday: '', payFrequency: 'fortnightly', expenseFrequency: 'monthly',
+  horizon: '5', inflation: '2.5', salaryGrowth: '3', investShare: '80', returns: defaultReturns,
+  fiSpending: '', withdrawalRate: '4', preservationAge: '60', fiReturn: '7', fiVolatility: '15',
+};
+
+// A thousand simulated paths, so they rerun only when an input changes, not
+// on every keystroke elsewhere. `inputs` is the JSON of the simulator's
+// options, which compares by value.
+const useRetirement = (inputs) => useMemo(() => inputs && simulateRetirement(JSON.parse(inputs)), [inputs]);
+
+
+const analysisErrors = {
+  network: ['Can\'t reach the server', () => 'Check your connection and try again.'],
+  rate_limit: ['Slow down', (e) => `Too many requests. Try again in ${e.retryAfter || 60} seconds.`],
+  upstream: ['Claude is having trouble', (e) => `The API answered ${e.status || 'with an error'}${e.message ? `: ${e.message}` : '.'}`],
+  unparseable: ['Couldn\'t read the reply', () => 'Claude answered, but not in the expected shape, even after asking again.'],
 };
 
 const tooltips = {
   cashFloor: 'The minimum cash you keep as a buffer. Usually 2-3 months of expenses. Money only moves to investments when you\'re above this.',
   creditTarget: 'Your target credit card balance by end of pay cycle. Usually ≤1 cycle of spending.',
-  creditBalance: 'What you currently owe on your credit card.',
+  debts: 'Everything you owe: cards, mortgage, car, student and personal loans. List property at market value once its mortgage is here.',
 };
 
 export default function App() {
   const [view, setView] = useState('landing');
   const [loading, setLoading] = useState(false);
+  const [streamText, setStreamText] = useState('');
+  const [analysisError, setAnalysisError] = useState(null);
+  const [chat, setChat] = useState([]);
+  const [chatInput, setChatInput] = useState('');
+  const [chatStream, setChatStream] = useState('');
+  const [chatBusy, setChatBusy] = useState(false);
+  const [chatError, setChatError] = useState(null);
   const [analysis, setAnalysis] = useState(null);
   const [initialized, setInitialized] = useState(false);
   const [form, setForm] = useState(defaultForm);
   const [showTip, setShowTip] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [compare, setCompare] = useState({ from: '', to: '' });
+  const [expanded, setExpanded] = useState(null);
+  const [csvText, setCsvText] = useState('');
+  const [mapping, setMapping] = useState(defaultMapping);
+  const [rules, setRules] = useState(defaultRules);
+  const [budgetMonth, setBudgetMonth] = useState('');
+  const [anonymised, setAnonymised] = useState(false);
+  const [passphrase, setPassphrase] = useState(null);
+  const lockKey = useRef(null);
+  const [lockedBlob, setLockedBlob] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [profiles, setProfiles] = useState([]);
+  const [activeId, setActiveId] = useState(uid);
+  const [household, setHousehold] = useState(defaultHousehold);
+  const [vault, setVault] = useState({ unlock: '', exportPass: '', importText: '', importPass: '', pending: null, lock: '', lockConfirm: '', message: null });
+
+  const loadProfile = useCallback((p) => {
+    setActiveId(p.id);
+    setForm({ ...defaultForm, ...p.form });
+    setAnalysis(p.analysis || null);
+    setHistory(p.history || []);
+    setChat(p.chat || []);
+    setAnalysisError(null);
+    setChatError(null);
+  }, []);
+
+  const applyState = useCallback((state) => {
+    const saved = state.profiles.map(p => ({ ...p, form: { ...defaultForm, ...p.form } }));
+    const active = saved.find(p => p.id === state.activeId) || saved[0];
+    setProfiles(saved);
+    setHousehold({ ...defaultHousehold, ...state.household });
+    setMapping({ ...defaultMapping, ...state.csvMapping });
+    setRules(state.importRules || defaultRules);
+    loadProfile(active);
+    setView(active.form?.name ? 'dashboard' : 'landing');
+  }, [loadProfile]);
 
   useEffect(() => {
     const saved = localStorage.getItem('wealth-data');
     if (saved) {
-      const p = JSON.parse(saved);
-      setForm({ ...defaultForm, ...p.form });
-      setAnalysis(p.analysis || null);
-      if (p.form?.name) setView('dashboard');
+      try {
+        const p = JSON.parse(saved);
+        if (isLocked(p)) { setLockedBlob(p); setView('unlock'); }
+        else applyState(checkState(migrateState(p)));
+      } catch (e) {
+        setLoadError(e.kind === 'newer_version' ? e.message : 'The data saved on this device is damaged or in a format this app doesn\'t recognise.');
+        setView('unreadable');
+      }
     }
     setInitialized(true);
-  }, []);
+  }, [applyState]);
 
   useEffect(() => {
-    if (!initialized || view !== 'dashboard') return;
-    localStorage.setItem('wealth-data', JSON.stringify({ form, analysis }));
-  }, [form, analysis, view, initialized]);
+    // Never write over a save that couldn't be loaded.
+    if (!initialized || loadError || !['dashboard', 'data', 'household'].includes(view)) return;
+    const state = {
+      version: SCHEMA_VERSION, profiles: upsertProfile(profiles, { id: activeId, form, analysis, history, chat }), activeId, household,
+      csvMapping: mapping, importRules: rules,
+    };
+    if (!passphrase) { localStorage.setItem('wealth-data', JSON.stringify(state)); return; }
+    // Deriving a key takes a noticeable moment, so it's done once per passphrase, not per save.
+    if (lockKey.current?.passphrase !== passphrase) lockKey.current = { passphrase, key: createKey(passphrase) };
+    let stale = false;
+    lockKey.current.key.then(key => encrypt(state, key)).then(encrypted => { if (!stale) localStorage.setItem('wealth-data', JSON.stringify({ version: SCHEMA_VERSION, encrypted })); });
+    return () => { stale = true; };
+  }, [form, analysis, history, chat, profiles, activeId, household, mapping, rules, passphrase, view, initialized, loadError]);
+
+  // Every profile, with the one being edited at its live state.
+  const allProfiles = upsertProfile(profiles, { id: activeId, form, analysis, history, chat });
+
+  const switchProfile = (id) => {
+    setProfiles(allProfiles);
+    const next = id === 'new' ? newProfile(defaultForm) : allProfiles.find(p => p.id === id);
+    loadProfile(next);
+    setView(next.form.name ? 'dashboard' : 'setup');
+  };
+
+  const resetAll = () => {
+    localStorage.removeItem('wealth-data');
+    setPassphrase(null); setLockedBlob(null); setLoadError(null); setProfiles([]); setHousehold(defaultHousehold);
+    loadProfile(newProfile(defaultForm));
+    setView('landing');
+  };
+
+  // Removes only the profile on screen; the last one takes everything with it.
+  const reset = () => {
+    const rest = profiles.filter(p => p.id !== activeId);
+    if (!rest.length) return resetAll();
+    if (!window.confirm(`Remove ${form.name || 'this profile'}? Other profiles are kept.`)) return;
+    setProfiles(rest);
+    setHousehold(h => ({ ...h, memberIds: h.memberIds.filter(id => id !== activeId) }));
+    loadProfile(rest[0]);
+    setView('dashboard');
+  };
+
+  const setVaultField = (k, v) => setVault(prev => ({ ...prev, [k]: v, message: null }));
+  const vaultMessage = (e) => setVault(prev => ({ ...prev, message: { ok: false, text: e.message } }));
+
+  const unlock = async () => {
+    try {
+      const p = checkState(migrateState(await decrypt(lockedBlob.encrypted, vault.unlock)));
+      setPassphrase(vault.unlock);
+      setLockedBlob(null);
+      setVault(prev => ({ ...prev, unlock: '', message: null }));
+      applyState(p);
+    } catch (e) { vaultMessage(e); }
+  };
+
+  const saveFile = (text, name) => {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    a.download = name;
+    a.click();
+    URL.revokeObjectURL(a.href);
+  };
 
-  const reset = () => { localStorage.removeItem('wealth-data'); setForm(defaultForm); setAnalysis(null); setView('landing'); };
+  const download = async (encrypted) => {
+    const text = await exportFile({ profiles: allProfiles, activeId, household, csvMapping: mapping, importRules: rules }, encrypted ? vault.exportPass : null);
+    saveFile(text, `oneshot-${isoDate(new Date())}${encrypted ? '.locked' : ''}.json`);
+  };
+
+  const readImport = async (text, pass) => {
+    try {
+      setVault(prev => ({ ...prev, importText: text, pending: null, message: null }));
+      const pending = await importFile(text, pass);
+      setVault(prev => ({ ...prev, pending }));
+    } catch (e) {
+      if (e.kind === 'needs_passphrase') setVault(prev => ({ ...prev, message: { ok: true, text: 'This file is encrypted. Enter its passphrase.' } }));
+      else vaultMessage(e);
+    }
+  };
 
   const updateField = useCallback((field, value) => {
     setForm(prev => ({ ...prev, [field]: value }));
   }, []);
 
-  const num = (v) => parseFloat(v) || 0;
-  const monthlyIncome = form.frequency === 'annual' ? num(form.income) / 12 : form.frequency === 'fortnightly' ? num(form.income) * 26 / 12 : num(form.income);
-  const expenseMultiplier = form.expenseFrequency === 'weekly' ? 4.33 : form.expenseFrequency === 'fortnightly' ? 2.17 : 1;
-  const expenses = ['rent','utilities','groceries','dining','transport','health','subscriptions','personal','savings_invest'].reduce((a, k) => a + num(form[k]), 0) * expenseMultiplier;
-  const surplus = monthlyIncome - expenses;
-  const rate = monthlyIncome > 0 ? (surplus / monthlyIncome) * 100 : 0;
-  const liquid = num(form.cash) + num(form.etfs) + num(form.crypto);
-  const illiquid = num(form.super) + num(form.property) + num(form.other_assets);
-  const netWorth = liquid + illiquid - num(form.creditBalance);
-  const equityValue = num(form.equityValue);
-  const vestedValue = equityValue * (num(form.vestedMonths) / num(form.vestingMonths));
-  
-  const cashOk = num(form.cash) >= num(form.cashFloor) || !form.cashFloor;
-  const creditOk = num(form.creditBalance) <= num(form.creditTarget) || !form.creditTarget;
-  const rateOk = rate >= 20;
-
-  const projectionData = [0,1,2,3,4,5].map(y => {
-    const r = 0.07/12, m = y*12, contrib = Math.max(0, surplus) * 0.8, start = num(form.etfs) + num(form.crypto);
-    return { year: y, value: Math.round(start * Math.pow(1+r, m) + contrib * ((Math.pow(1+r, m) - 1) / r)) };
+  const updateHolding = useCallback((id, field, value) => {
+    setForm(prev => ({ ...prev, holdings: prev.holdings.map(h => h.id === id ? { ...h, [field]: value } : h) }));
+  }, []);
+
+  const updateDebt = useCallback((id, field, value) => {
+    setForm(prev => ({ ...prev, debts: prev.debts.map(d => d.id === id ? { ...d, [field]: value } : d) }));
+  }, []);
+
+  const updateBill = useCallback((id, field, value) => {
+    setForm(prev => ({ ...prev, bills: prev.bills.map(b => b.id === id ? { ...b, [field]: value } : b) }));
+  }, []);
+
+  const updateGoal = useCallback((id, field, value) => {
+    setForm(prev => ({ ...prev, goals: prev.goals.map(g => g.id === id ? { ...g, [field]: value } : g) }));
+  }, []);
+
+  const updateGrant = useCallback((id, field, value) => {
+    setForm(prev => ({ ...prev, grants: prev.grants.map(g => g.id === id ? { ...g, [field]: value } : g) }));
+  }, []);
+
+  const fmt = (n) => formatMoney(n, form.currency);
+  const fmtAxis = (v) => formatCompact(v, form.currency);
+  const symbol = currencySymbol(form.currency);
+  const foreign = [...new Set([form.cashCurrency, ...form.holdings.map(h => h.currency)].filter(c => c && c !== form.currency))];
+  const taxRegion = taxRules(form.taxRegion);
+  const finances = personFinances(form);
+  const { toBase, grossMonthly, pay, monthlyIncome, expenseMultiplier, expenses, surplus, rate, cash, totals, cardBalance, totalDebt, netWorth } = finances;
+  const formErrors = validateForm(form);
+  const allocations = allocation(totals);
+  const grants = form.hasEquity ? priceFromValuation(form.grants, form.companyVal, form.fullyDilutedShares) : [];
+  const equity = equitySummary(grants);
+  const equityOptions = exitOptions(form);
+  const exits = exitScenarios(grants, equityOptions);
+  const vestedExits = exitScenarios(grants, { ...equityOptions, vestedOnly: true });
+  const exitLump = exitLumpSums(form, grants);
+  const nextVests = upcomingVests(grants);
+
+  const payoff = simulatePayoff(form.debts, { strategy: form.debtStrategy, extra: num(form.debtExtra) });
+  const altStrategy = form.debtStrategy === 'avalanche' ? 'snowball' : 'avalanche';
+  const altPayoff = simulatePayoff(form.debts, { strategy: altStrategy, extra: num(form.debtExtra) });
+  const debtFreeDate = payoff.feasible && new Date(new Date().getFullYear(), new Date().getMonth() + payoff.months, 1);
+  const status = statusLights(form, finances, payoff);
+
+  const goalSources = [['cash', 'Cash'], ['etfs', 'All ETFs'], ...form.holdings.map(h => [h.id, h.name || holdingClasses.find(([c]) => c === h.cls)[2]])];
+  const goalPlan = planGoals(form.goals.filter(g => num(g.target) > 0), {
+    balances: { cash, etfs: totals.etfs, ...Object.fromEntries(form.holdings.map(h => [h.id, toBase(holdingValue(h), h.currency)])) },
+    surplus,
+  });
+
+  const paySchedule = planPayCycles({
+    nextPayday: form.nextPayday, payFrequency: form.payFrequency,
+    monthlyIncome, monthlyExpenses: expenses,
+    cash: cash, cashFloor: num(form.cashFloor),
+    creditBalance: cardBalance, creditTarget: num(form.creditTarget),
+  });
+
+  const forecast = forecastCashFlow({
+    nextPayday: form.nextPayday, payFrequency: form.payFrequency,
+    monthlyIncome, monthlyExpenses: expenses, bills: form.bills,
+    cash, cashFloor: num(form.cashFloor),
+    creditBalance: cardBalance, creditTarget: num(form.creditTarget),
+  });
+  const breaches = forecast.filter(d => d.belowFloor || d.overTarget);
+  const upcomingBills = forecast.flatMap(d => d.bills.map(b => ({ ...b, date: d.date }))).slice(0, 5);
+  const shortDate = (iso) => new Date(iso + 'T00:00').toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+
+  const horizon = clampHorizon(num(form.horizon));
+  const exitOutside = exitLump.some(l => !inHorizon(l.year, horizon));
+  const projectionData = projectScenarios({
+    balances: totals,
+    returns: form.returns, monthlyContribution: surplus, investShare: num(form.investShare) / 100, superContribution: pay.super.net / 12,
+    salaryGrowth: num(form.salaryGrowth) / 100, inflation: num(form.inflation) / 100, horizon,
+    lumpSums: exitLump,
+  });
+
+  const age = parseInt(form.age);
+  const fiSpending = retirementSpending(form, expenses);
+  const fiInputs = age > 0 && age < 90 && num(form.withdrawalRate) > 0 && JSON.stringify({
+    age, accessible: totals.etfs + totals.crypto, super: totals.super,
+    contribution: Math.max(0, surplus) * num(form.investShare) / 100 * 12, superContribution: pay.super.net,
+    spending: fiSpending, withdrawalRate: num(form.withdrawalRate) / 100, preservationAge: num(form.preservationAge),
+    meanReturn: num(form.fiReturn) / 100, volatility: num(form.fiVolatility) / 100,
+    inflation: num(form.inflation) / 100, salaryGrowth: num(form.salaryGrowth) / 100,
+  });
+  const retirement = useRetirement(fiInputs);
+  const fan = retirement ? retirement.timeline.map(t => ({ ...t, outer: [t.p10, t.p90], inner: [t.p25, t.p75] })) : [];
+
+  const checkIn = () => setHistory(prev => recordSnapshot(prev, {
+    date: isoDate(new Date()),
+    cash, credit: cardBalance, debt: totalDebt,
+    ...totals,
+    netWorth, rate,
+  }));
+
+  const compareFrom = history.find(h => h.date === compare.from) || history[0];
+  const compareTo = history.find(h => h.date === compare.to) || history[history.length - 1];
+
+  const budget = monthlyBudget(form);
+  const budgetMonths = budgetReport(form.actuals, budget, expenseCategories);
+  const budgetShown = budgetMonths.find(m => m.month === budgetMonth) || budgetMonths[budgetMonths.length - 1];
+  const logMonth = budgetMonth || monthKey();
+  const logActual = (k, v) => updateField('actuals', { ...form.actuals, [logMonth]: { ...form.actuals[logMonth], [k]: v } });
+
+  const logTransactions = (transactions) => {
+    const totals = monthlyTotals(transactions);
+    updateField('actuals', mergeActuals(form.actuals, totals));
+    setBudgetMonth(Object.keys(totals).sort().pop() || '');
+    setView('spending');
+  };
+
+  const applyAverages = (averages) => {
+    setForm(prev => ({
+      ...prev, expenseFrequency: 'monthly',
+      ...Object.fromEntries(expenseCategories.map(([k]) => [k, k in averages ? String(Math.round(averages[k])) : prev[k] && String(Math.round(num(prev[k]) * expenseMultiplier))])),
+    }));
+    setView('setup');
+  };
+
+  const shown = loading && streamText ? partialAnalysis(streamText) : analysis;
+
+  const summary = buildSummary(form, { finances, taxRegion, payoff, grants, equity, goalPlan, retirement, budgetMonth: budgetShown });
+
+  const report = buildReport({
+    name: form.name, month: monthKey(), finances, cashFloor: num(form.cashFloor), creditTarget: num(form.creditTarget),
+    status, projection: projectionData, analysis,
   });
+  const figure = (f) => f.value === null ? '—'
+    : f.unit === 'money' ? fmt(f.value)
+    : f.unit === 'pct' ? pct(f.value)
+    : f.unit === 'months' ? `${f.value.toFixed(1)} mo`
+    : `${f.value.toFixed(1)}×`;
+  const figureOf = (f) => f.of && f.value !== null ? `${figure(f)} ${f.of}` : figure(f);
 
   const runAnalysis = async () => {
     setLoading(true);
+    setStreamText('');
+    setAnalysisError(null);
     try {
-      const res = await fetch("/api/analyze", {
-        method: "POST", headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          model: "claude-sonnet-4-20250514", max_tokens: 1000,
-          messages: [{ role: "user", content: `You're a thoughtful, direct financial advisor. Analyze this wealth system. Be genuinely helpful. No fluff.
-
-${form.name}, ${form.age}
-Income: ${fmt(monthlyIncome)}/month
-Expenses: ${fmt(expenses)}/month  
-Surplus: ${fmt(surplus)}/month
-Savings Rate: ${pct(rate)}
-Cash: ${fmt(num(form.cash))} (floor: ${fmt(num(form.cashFloor))})
-Credit: ${fmt(num(form.creditBalance))} (target: ≤${fmt(num(form.creditTarget))})
-Assets: ETFs ${fmt(num(form.etfs))}, Crypto ${fmt(num(form.crypto))}, Super ${fmt(num(form.super))}
-${form.hasEquity ? `Equity: ${fmt(equityValue)} (${form.vestedMonths}/${form.vestingMonths} months vested)` : ''}
-Net Worth: ${fmt(netWorth)}
-
-Give 3 insights as JSON. Each has "title" (3-5 words), "body" (2 sentences max), "type" (celebrate/warning/opportunity). Add "oneMove": single most important action. Add "headline": poetic 4-6 word summary.
-
-ONLY valid JSON: {"headline":"...","insights":[...],"oneMove":"..."}` }]
-        })
-      });
-      const d = await res.json();
-      setAnalysis(JSON.parse((d.content?.map(i => i.text).join('') || '').replace(/```json|```/g, '').trim()));
-    } catch { setAnalysis({ headline: 'Analysis unavailable', insights: [{ title: 'Connection lost', body: 'Could not reach Claude.', type: 'warning' }], oneMove: 'Try again.' }); }
+      setAnalysis(await requestAnalysis(summary, { onText: setStreamText }));
+    } catch (e) {
+      setAnalysisError({ kind: e.kind || 'network', message: e.message, status: e.status, retryAfter: e.retryAfter });
+    }
+    setStreamText('');
     setLoading(false);
   };
 
+  const sendChat = async () => {
+    const content = chatInput.trim();
+    if (!content || chatBusy) return;
+    const thread = [...chat, { role: 'user', content }];
+    setChat(thread);
+    setChatInput('');
+    setChatBusy(true);
+    setChatError(null);
+    try {
+      const { text, actions } = splitActions(await requestChatReply(summary, thread.slice(-39), { onText: setChatStream }));
+      setChat([...thread, { role: 'assistant', content: text || 'Suggested changes below.', actions }]);
+    } catch (e) {
+      setChat(chat);
+      setChatInput(content);
+      setChatError({ kind: e.kind || 'network', message: e.message, status: e.status, retryAfter: e.retryAfter });
+    }
+    setChatStream('');
+    setChatBusy(false);
+  };
+
+  // Claude suggests monthly amounts; expense fields are kept at the chosen expense frequency.
+  const actionValue = (a) => expenseCategories.some(([k]) => k === a.field) ? String(Math.round(num(a.value) / expenseMultiplier)) : a.value;
+
+  const resolveAction = (turn, index, apply) => {
+    const action = chat[turn].actions[index];
+    if (apply) updateField(action.field, actionValue(action));
+    setChat(prev => prev.map((m, i) => i === turn ? { ...m, actions: m.actions.map((a, j) => j === index ? { ...a, status: apply ? 'applied' : 'dismissed' } : a) } : m));
+  };
+
   const Tip = ({ id, text }) => (
     <span style={{ position: 'relative', marginLeft: 6 }}>
       <span 
@@ -189,6 +469,408 @@ ONLY valid JSON: {"headline":"...","insights":[...],"oneMove":"..."}` }]
     </div>
   );
 
+  // Unlock
+  if (view === 'unlock') return (
+    <div style={s.page}>
+      <div style={{ ...s.wrap, maxWidth: 420, paddingTop: 0, minHeight: '100vh', display: 'flex', flexDirection: 'column', justifyContent: 'center' }}>
+        <p style={{ fontSize: 13, color: '#999', marginBottom: 24, letterSpacing: 0.5 }}>LOCKED</p>
+        <p style={s.p}>Your numbers are encrypted on this device. Enter your passphrase to open them.</p>
+        <input style={{ ...s.input, marginTop: 16 }} type="password" autoFocus value={vault.unlock} onChange={(e) => setVaultField('unlock', e.target.value)} onKeyDown={(e) => e.key === 'Enter' && unlock()} placeholder="Passphrase" />
+        {vault.message && <p style={{ ...s.small, color: '#ef4444', marginTop: 12 }}>{vault.message.text}</p>}
+        <button style={{ ...s.btn, marginTop: 24, alignSelf: 'flex-start' }} disabled={!vault.unlock} onClick={unlock}>Unlock</button>
+        <p style={{ ...s.small, marginTop: 48 }}>Forgot it? There's no recovery — <span style={{ ...s.link, fontSize: 12, textDecoration: 'underline' }} onClick={() => window.confirm('Delete the locked data and start again?') && resetAll()}>start over</span>.</p>
+      </div>
+    </div>
+  );
+
+  // A save that couldn't be loaded stays untouched until the user decides.
+  if (view === 'unreadable') return (
+    <div style={s.page}>
+      <div style={{ ...s.wrap, maxWidth: 420, paddingTop: 0, minHeight: '100vh', display: 'flex', flexDirection: 'column', justifyContent: 'center' }}>
+        <p style={{ fontSize: 13, color: '#999', marginBottom: 24, letterSpacing: 0.5 }}>CAN'T OPEN YOUR DATA</p>
+        <p style={s.p}>{loadError}</p>
+        <p style={s.p}>Nothing has been changed. Download a copy to keep it safe, then open it with a newer version of the app.</p>
+        <button style={{ ...s.btn, marginTop: 24, alignSelf: 'flex-start' }} onClick={() => saveFile(localStorage.getItem('wealth-data'), `oneshot-${isoDate(new Date())}.saved.json`)}>Download saved data</button>
+        <p style={{ ...s.small, marginTop: 48 }}>Or <span style={{ ...s.link, fontSize: 12, textDecoration: 'underline' }} onClick={() => window.confirm('Delete the saved data and start again?') && resetAll()}>start over</span> without it.</p>
+      </div>
+    </div>
+  );
+
+  // Export, import and lock
+  if (view === 'data') {
+    const canLock = vault.lock.length >= 8 && vault.lock === vault.lockConfirm;
+    const section = (t) => <p style={{ fontSize: 13, color: '#999', marginTop: 48, marginBottom: 16, letterSpacing: 0.5 }}>{t}</p>;
+    return (
+      <div style={s.page}>
+        <div style={{ ...s.wrap, maxWidth: 520 }}>
+          <p style={{ ...s.link, marginTop: 40 }} onClick={() => setView('dashboard')}>← back</p>
+
+          {section('EXPORT')}
+          <p style={s.small}>A file with your profile, history and chat. Add a passphrase to encrypt it.</p>
+          <input style={s.input} type="password" value={vault.exportPass} onChange={(e) => setVaultField('exportPass', e.target.value)} placeholder="Passphrase (optional)" />
+          <button style={{ ...s.btn, marginTop: 16 }} onClick={() => download(!!vault.exportPass)}>{vault.exportPass ? 'Download encrypted' : 'Download'}</button>
+
+          {section('IMPORT')}
+          <input type="file" accept=".json,application/json" style={{ fontSize: 14, fontFamily: 'Georgia, serif' }} onChange={async (e) => { const file = e.target.files[0]; if (file) readImport(await file.text(), ''); }} />
+          {vault.importText && !vault.pending && vault.message?.ok && (
+            <div style={{ display: 'flex', gap: 12, alignItems: 'flex-end', marginTop: 16 }}>
+              <input style={s.input} type="password" value={vault.importPass} onChange={(e) => setVault(prev => ({ ...prev, importPass: e.target.value }))} placeholder="File passphrase" />
+              <button style={s.btn} disabled={!vault.importPass} onClick={() => readImport(vault.importText, vault.importPass)}>Open</button>
+            </div>
+          )}
+          {vault.message && <p style={{ ...s.small, color: vault.message.ok ? '#999' : '#ef4444', marginTop: 12 }}>{vault.message.text}</p>}
+          {vault.pending && (
+            <div style={{ ...s.card, marginTop: 16 }}>
+              <p style={{ margin: 0, fontSize: 15 }}>{vault.pending.profiles.map(profileName).join(', ')} · {vault.pending.profiles.reduce((a, p) => a + (p.history || []).length, 0)} check-ins</p>
+              <p style={{ ...s.small, marginTop: 4 }}>This replaces everything currently on this device.</p>
+              <button style={{ ...s.btn, marginTop: 12 }} onClick={() => { applyState(vault.pending); setVault(prev => ({ ...prev, importText: '', importPass: '', pending: null })); }}>Replace my data</button>
+            </div>
+          )}
+
+          {section('LOCK THIS DEVICE')}
+          {passphrase ? (
+            <>
+              <p style={s.small}><span style={s.dot(true)} />Saved data is encrypted. You'll need the passphrase each time you open the app.</p>
+              <button style={{ ...s.btn, marginTop: 16, background: '#fff', color: '#1a1a1a', border: '1px solid #e5e5e5' }} onClick={() => setPassphrase(null)}>Remove lock</button>
+            </>
+          ) : (
+            <>
+              <p style={s.small}>Encrypts what's saved in this browser. There's no way to recover a forgotten passphrase.</p>
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 16 }}>
+                <input style={s.input} type="password" value={vault.lock} onChange={(e) => setVaultField('lock', e.target.value)} placeholder="Passphrase (8+ characters)" />
+                <input style={s.input} type="password" value={vault.lockConfirm} onChange={(e) => setVaultField('lockConfirm', e.target.value)} placeholder="Again" />
+              </div>
+              <button style={{ ...s.btn, marginTop: 16 }} disabled={!canLock} onClick={() => { setPassphrase(vault.lock); setVault(prev => ({ ...prev, lock: '', lockConfirm: '' })); }}>Lock</button>
+            </>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  // Report
+  if (view === 'report') {
+    const r = anonymised ? anonymiseReport(report) : report;
+    const axis = (v) => r.projection.unit === 'x' ? `${v.toFixed(1)}×` : fmtAxis(v);
+    const point = (v) => figure({ value: v, unit: r.projection.unit });
+    return (
+      <div style={s.page}>
+        <div className="report" style={s.wrap}>
+          <div className="no-print" style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 40 }}>
+            <p style={s.link} onClick={() => setView('dashboard')}>← back</p>
+            <div style={{ display: 'flex', gap: 16 }}>
+              <span style={s.link} onClick={() => setAnonymised(a => !a)}>{anonymised ? 'show amounts' : 'anonymise'}</span>
+              <span style={{ ...s.link, color: '#1a1a1a' }} onClick={() => window.print()}>print or save as PDF</span>
+            </div>
+          </div>
+
+          <p style={s.small}>Monthly report · {monthLabel(r.month)}</p>
+          <h1 style={{ ...s.h1, fontSize: 32, margin: '8px 0 0' }}>{r.name ? `${r.name}'s` : 'A'} system.</h1>
+          <p style={{ ...s.small, marginBottom: 32 }}>Net worth {figureOf(r.netWorth)} · Savings rate {figure(r.rate)}</p>
+
+          <div className="report-card" style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 12 }}>
+            <div style={s.card}>
+              <p style={s.label}><span style={s.dot(r.status.cash)} />Cash</p>
+              <p style={s.metric}>{figure(r.cash)}</p>
+              <p style={s.small}>{r.cash.of && `${r.cash.of} · `}floor {figure(r.cashFloor)}</p>
+            </div>
+            <div style={s.card}>
+              <p style={s.label}><span style={s.dot(r.status.debt)} />Debt</p>
+              <p style={s.metric}>{figure(r.debt)}</p>
+              <p style={s.small}>{r.debt.of && `${r.debt.of} · `}cards {figure(r.cardBalance)} · target ≤{figure(r.creditTarget)}</p>
+            </div>
+            <div style={s.card}>
+              <p style={s.label}><span style={s.dot(r.status.rate)} />Rate</p>
+              <p style={s.metric}>{figure(r.rate)}</p>
+              <p style={s.small}>Monthly income {figure(r.income)} · spending {figure(r.expenses)}</p>
+            </div>
+          </div>
+
+          <div className="report-card" style={{ ...s.card, marginTop: 12 }}>
+            <p style={{ ...s.label, marginBottom: 12 }}>Assets</p>
+            {r.assets.map(a => (
+              <div key={a.key} style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 6, fontSize: 15 }}>
+                <span style={{ color: '#666' }}>{a.label}{!r.anonymised && <span style={s.small}> {figure(a.share)}</span>}</span><span>{figure(a.value)}</span>
+              </div>
+            ))}
+            {!r.assets.length && <p style={{ color: '#999', fontSize: 14, fontStyle: 'italic' }}>No assets entered.</p>}
+            <div style={{ display: 'flex', justifyContent: 'space-between', paddingTop: 8, marginTop: 8, borderTop: '1px solid #eee', fontWeight: 500, fontSize: 15 }}><span>Total</span><span>{figureOf(r.totalAssets)}</span></div>
+          </div>
+
+          <div className="report-card" style={{ ...s.card, marginTop: 12 }}>
+            <p style={{ ...s.label, marginBottom: 16 }}>Projection · {horizon} years{r.anonymised ? ', as a multiple of today' : num(form.inflation) ? ", in today's dollars" : ''}</p>
+            <LineChart width={530} height={180} data={r.projection.rows}>
+              <XAxis dataKey="year" tick={{ fontSize: 11, fill: '#999' }} tickLine={false} axisLine={false} />
+              <YAxis tick={{ fontSize: 11, fill: '#999' }} tickLine={false} axisLine={false} tickFormatter={axis} width={50} />
+              <Line type="monotone" dataKey="optimistic" stroke="#bbb" strokeWidth={1} strokeDasharray="4 4" dot={false} isAnimationActive={false} />
+              <Line type="monotone" dataKey="expected" stroke="#1a1a1a" strokeWidth={2} dot={false} isAnimationActive={false} />
+              <Line type="monotone" dataKey="conservative" stroke="#bbb" strokeWidth={1} strokeDasharray="4 4" dot={false} isAnimationActive={false} />
+            </LineChart>
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: 16, paddingTop: 16, borderTop: '1px solid #eee' }}>
+              {milestones(horizon).map(y => <div key={y} style={{ textAlign: 'center' }}><p style={s.small}>{y}yr</p><p style={{ fontSize: 15, margin: '4px 0' }}>{point(r.projection.rows[y].expected)}</p><p style={s.small}>{point(r.projection.rows[y].conservative)}–{point(r.projection.rows[y].optimistic)}</p></div>)}
+            </div>
+          </div>
+
+          <div className="report-card" style={{ ...s.card, marginTop: 12 }}>
+            <p style={{ ...s.label, marginBottom: 16 }}>Claude's take</p>
+            {r.analysis ? (
+              <>
+                {r.analysis.headline && <p style={{ fontSize: 18, fontStyle: 'italic', marginBottom: 20, paddingBottom: 16, borderBottom: '1px solid #eee' }}>{r.analysis.headline}</p>}
+                {r.analysis.insights.map((ins, i) => (
+                  <div key={i} style={{ marginBottom: 16 }}>
+                    <p style={{ margin: 0, fontSize: 14, fontWeight: 500, display: 'flex', alignItems: 'center', gap: 8 }}>
+                      <span style={{ width: 6, height: 6, borderRadius: '50%', background: ins.type === 'celebrate' ? '#22c55e' : ins.type === 'warning' ? '#ef4444' : '#3b82f6' }} />
+                      {ins.title}
+                    </p>
+                    <p style={{ margin: '4px 0 0 14px', color: '#666', fontSize: 14, lineHeight: 1.5 }}>{ins.body}</p>
+                  </div>
+                ))}
+                <div style={{ background: '#f5f5f5', padding: 16, borderRadius: 8, marginTop: 16 }}>
+                  <p style={{ ...s.small, marginBottom: 4 }}>The one move</p>
+                  <p style={{ margin: 0, fontSize: 15 }}>{r.analysis.oneMove}</p>
+                </div>
+              </>
+            ) : (
+              <p style={{ color: '#999', fontSize: 14, fontStyle: 'italic' }}>No analysis yet. Hit analyze on the dashboard to include one.</p>
+            )}
+          </div>
+
+          <p style={{ ...s.small, marginTop: 24 }}>
+            {r.anonymised
+              ? 'Anonymised: amounts are shown relative to income, monthly spending and assets, and figures in the analysis are hidden.'
+              : `Generated ${new Date().toLocaleDateString(undefined, { day: 'numeric', month: 'long', year: 'numeric' })}.`}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  // Actual spending for one month
+  if (view === 'spending') return (
+    <div style={s.page}>
+      <div style={{ ...s.wrap, maxWidth: 520 }}>
+        <p style={{ ...s.link, marginTop: 40 }} onClick={() => setView('dashboard')}>← back</p>
+
+        <p style={{ fontSize: 13, color: '#999', marginTop: 64, marginBottom: 24, letterSpacing: 0.5 }}>ACTUAL SPENDING</p>
+        <div style={{ marginBottom: 24, maxWidth: 200 }}>
+          <label style={s.label}>Month</label>
+          <input style={s.input} type="month" value={logMonth} onChange={(e) => e.target.value && setBudgetMonth(e.target.value)} />
+        </div>
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 16, marginBottom: 24 }}>
+          {expenseCategories.map(([k, l]) => (
+            <div key={k}>
+              <label style={s.label}>{l}</label>
+              <div style={{ display: 'flex', alignItems: 'center' }}><span style={{ color: '#999', marginRight: 4 }}>{symbol}</span><input style={s.input} type="text" inputMode="numeric" value={form.actuals[logMonth]?.[k] ?? ''} onChange={(e) => logActual(k, e.target.value)} placeholder={String(Math.round(budget[k]))} /></div>
+            </div>
+          ))}
+        </div>
+        <p style={s.small}>Placeholders are the monthly budget from setup. Leave a category blank to skip it this month, or <span style={{ ...s.link, fontSize: 12, textDecoration: 'underline' }} onClick={() => setView('import')}>import a statement</span>.</p>
+      </div>
+    </div>
+  );
+
+  // Household
+  if (view === 'household') {
+    const members = household.memberIds.length ? allProfiles.filter(p => household.memberIds.includes(p.id)) : allProfiles;
+    const base = members[0]?.form.currency || form.currency;
+    const hfmt = (n) => formatMoney(n, base);
+    const foreignMembers = memberCurrencies(members, base);
+    const missingRates = foreignMembers.filter(c => !hasRate(c, base, household.fxRates));
+    const combined = combineHousehold(members, household, (n, cur) => convert(n, cur, base, household.fxRates));
+    const nameOf = (id) => profileName(allProfiles.find(p => p.id === id), allProfiles.findIndex(p => p.id === id));
+    const toggleMember = (id) => setHousehold(h => {
+      const ids = h.memberIds.length ? h.memberIds : allProfiles.map(p => p.id);
+      return { ...h, memberIds: ids.includes(id) ? ids.filter(x => x !== id) : [...ids, id] };
+    });
+    const row = (label, value, muted) => (
+      <div key={label} style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 6, fontSize: 15 }}>
+        <span style={{ color: '#666' }}>{label}</span><span style={muted ? { color: '#999' } : undefined}>{value}</span>
+      </div>
+    );
+
+    return (
+      <div style={s.page}>
+        <div style={s.wrap}>
+          <p style={{ ...s.link, marginTop: 40 }} onClick={() => setView('dashboard')}>← back</p>
+
+          <h1 style={{ ...s.h1, fontSize: 32, marginTop: 40 }}>{members.map((p, i) => profileName(p, i)).join(' & ')}.</h1>
+          <p style={{ ...s.small, marginBottom: missingRates.length ? 8 : 40 }}>Net worth {hfmt(combined.netWorth)} · Savings rate {pct(combined.rate)}</p>
+          {missingRates.length > 0 && <p style={{ ...s.small, color: '#ef4444', marginBottom: 40 }}>No exchange rate for {missingRates.join(', ')} yet, so those amounts are counted 1:1. Add {missingRates.length > 1 ? 'them' : 'it'} below.</p>}
+
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12 }}>
+            <div style={s.card}>
+              <p style={s.label}>Net worth</p>
+              <p style={s.metric}>{hfmt(combined.netWorth)}</p>
+              {combined.people.map(p => <p key={p.id} style={s.small}>{nameOf(p.id)} {hfmt(p.netWorth)}</p>)}
+            </div>
+            <div style={s.card}>
+              <p style={s.label}><span style={s.dot(combined.rate >= 20)} />Rate</p>
+              <p style={s.metric}>{pct(combined.rate)}</p>
+              {combined.people.map(p => <p key={p.id} style={s.small}>{nameOf(p.id)} {pct(p.rate)} · {hfmt(p.surplus)}/mo</p>)}
+            </div>
+          </div>
+
+          <div style={{ ...s.card, marginTop: 12 }}>
+            <p style={{ ...s.label, marginBottom: 16 }}>Each month</p>
+            {row('Take-home', `${hfmt(combined.income)}`)}
+            {row('Own expenses', `−${hfmt(combined.expenses - combined.sharedExpenses)}`, true)}
+            {row('Shared expenses', `−${hfmt(combined.sharedExpenses)}`, true)}
+            {combined.people.map(p => (
+              <p key={p.id} style={{ ...s.small, marginTop: 8 }}>{nameOf(p.id)}: {hfmt(p.income)} in, {hfmt(p.ownExpenses)} own + {hfmt(p.sharedExpenses)} shared ({Math.round(p.share * 100)}%) out</p>
+            ))}
+          </div>
+
+          <div style={{ ...s.card, marginTop: 12 }}>
+            <p style={{ ...s.label, marginBottom: 16 }}>Assets & liabilities</p>
+            {row('Individual assets', hfmt(combined.assets.own))}
+            {row('Joint assets', hfmt(combined.assets.shared))}
+            {row('Individual debts', `−${hfmt(combined.debts.own)}`, true)}
+            {row('Joint debts', `−${hfmt(combined.debts.shared)}`, true)}
+            {combined.people.map(p => (
+              <p key={p.id} style={{ ...s.small, marginTop: 8 }}>{nameOf(p.id)}: {hfmt(p.ownAssets)} own + {hfmt(p.sharedAssets)} joint, owes {hfmt(p.ownDebts + p.sharedDebts)}</p>
+            ))}
+            <p style={{ ...s.small, marginTop: 12 }}>Tick "joint" on a holding or debt in one person's setup to share it here.</p>
+          </div>
+
+          <p style={{ fontSize: 13, color: '#999', marginTop: 48, marginBottom: 16, letterSpacing: 0.5 }}>MEMBERS & SPLIT</p>
+          {allProfiles.map((p, i) => (
+            <div key={p.id} style={{ display: 'grid', gridTemplateColumns: '1fr 100px', gap: 16, alignItems: 'center' }}>
+              <label style={{ display: 'flex', alignItems: 'center', gap: 10, cursor: 'pointer', fontSize: 15 }}>
+                <input type="checkbox" checked={members.includes(p)} onChange={() => toggleMember(p.id)} />
+                {profileName(p, i)}
+              </label>
+              {members.includes(p) ? <input style={s.input} type="text" inputMode="numeric" value={household.split[p.id] ?? ''} onChange={(e) => setHousehold(h => ({ ...h, split: { ...h.split, [p.id]: e.target.value } }))} placeholder="% share" /> : <span />}
+            </div>
+          ))}
+          <p style={{ ...s.small, marginTop: 8 }}>Blank shares split evenly. <span style={{ ...s.link, fontSize: 12, textDecoration: 'underline' }} onClick={() => setHousehold(h => ({ ...h, split: splitByIncome(members) }))}>Split by income</span></p>
+
+          <p style={{ fontSize: 13, color: '#999', marginTop: 40, marginBottom: 16, letterSpacing: 0.5 }}>SHARED EXPENSES / MONTH</p>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 16, marginBottom: 32 }}>
+            {expenseCategories.map(([k, l]) => (
+              <div key={k}>
+                <label style={s.label}>{l}</label>
+                <div style={{ display: 'flex', alignItems: 'center' }}><span style={{ color: '#999', marginRight: 4 }}>{currencySymbol(base)}</span><input style={s.input} type="text" inputMode="numeric" value={household.expenses[k] || ''} onChange={(e) => setHousehold(h => ({ ...h, expenses: { ...h.expenses, [k]: e.target.value } }))} placeholder="0" /></div>
+              </div>
+            ))}
+          </div>
+          <p style={s.small}>Enter joint costs here and leave them out of each person's own expenses.</p>
+
+          {foreignMembers.length > 0 && (
+            <>
+              <p style={{ fontSize: 13, color: '#999', marginTop: 40, marginBottom: 16, letterSpacing: 0.5 }}>EXCHANGE RATES</p>
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 16, marginBottom: 32 }}>
+                {foreignMembers.map(c => (
+                  <div key={c}>
+                    <label style={s.label}><span style={s.dot(hasRate(c, base, household.fxRates))} />1 {c} in {base}</label>
+                    <input style={s.input} type="text" inputMode="decimal" value={household.fxRates[c] || ''} onChange={(e) => setHousehold(h => ({ ...h, fxRates: { ...h.fxRates, [c]: e.target.value } }))} placeholder="1.00" />
+                  </div>
+                ))}
+              </div>
+              <p style={s.small}>Members' figures are converted into {base}, the first member's currency.</p>
+            </>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  // CSV import
+  if (view === 'import') {
+    const setMap = (k, v) => setMapping(m => ({ ...m, [k]: v }));
+    const updateRule = (i, k, v) => setRules(rs => rs.map((r, j) => j === i ? { ...r, [k]: v } : r));
+    const csvRows = csvText ? parseCsv(csvText, mapping.delimiter) : [];
+    const columns = (csvRows[0] || []).map((h, i) => <option key={i} value={i}>{mapping.hasHeader && h ? h : `Column ${i + 1}`}</option>);
+    const transactions = categorise(toTransactions(csvRows, mapping), rules);
+    const { months, averages } = monthlyAverages(transactions);
+    const uncategorised = transactions.filter(t => !t.category && t.spend > 0);
+    const colSelect = (k, l) => (
+      <div key={k}>
+        <label style={s.label}>{l}</label>
+        <select style={s.input} value={mapping[k]} onChange={(e) => setMap(k, Number(e.target.value))}>{columns}</select>
+      </div>
+    );
+
+    return (
+      <div style={s.page}>
+        <div style={{ ...s.wrap, maxWidth: 520 }}>
+          <p style={{ ...s.link, marginTop: 40 }} onClick={() => setView('setup')}>← back</p>
+
+          <p style={{ fontSize: 13, color: '#999', marginTop: 64, marginBottom: 24, letterSpacing: 0.5 }}>IMPORT A BANK STATEMENT</p>
+          <input type="file" accept=".csv,text/csv" style={{ fontSize: 14, fontFamily: 'Georgia, serif' }} onChange={async (e) => { const file = e.target.files[0]; if (file) setCsvText(await file.text()); }} />
+
+          {csvRows.length > 0 && (
+            <>
+              <p style={{ fontSize: 13, color: '#999', marginTop: 40, marginBottom: 16, letterSpacing: 0.5 }}>COLUMNS</p>
+              <label style={{ display: 'flex', alignItems: 'center', gap: 10, cursor: 'pointer', fontSize: 15, marginBottom: 16 }}>
+                <input type="checkbox" checked={mapping.hasHeader} onChange={(e) => setMap('hasHeader', e.target.checked)} />
+                First row is a header
+              </label>
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 16, marginBottom: 16 }}>
+                {colSelect('date', 'Date')}
+                {colSelect('description', 'Description')}
+                {mapping.sign === 'split' ? <>{colSelect('debit', 'Debit')}{colSelect('credit', 'Credit')}</> : colSelect('amount', 'Amount')}
+              </div>
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 16, marginBottom: 32 }}>
+                <div>
+                  <label style={s.label}>Separator</label>
+                  <select style={s.input} value={mapping.delimiter} onChange={(e) => setMap('delimiter', e.target.value)}>{delimiters.map(([v, l]) => <option key={l} value={v}>{l}</option>)}</select>
+                </div>
+                <div>
+                  <label style={s.label}>Date format</label>
+                  <select style={s.input} value={mapping.dateFormat} onChange={(e) => setMap('dateFormat', e.target.value)}>{dateFormats.map(f => <option key={f}>{f}</option>)}</select>
+                </div>
+                <div>
+                  <label style={s.label}>Decimal mark</label>
+                  <select style={s.input} value={mapping.decimal} onChange={(e) => setMap('decimal', e.target.value)}><option value=".">1,234.56</option><option value=",">1.234,56</option></select>
+                </div>
+                <div>
+                  <label style={s.label}>Signs</label>
+                  <select style={s.input} value={mapping.sign} onChange={(e) => setMap('sign', e.target.value)}>{signConventions.map(([v, l]) => <option key={v} value={v}>{l}</option>)}</select>
+                </div>
+              </div>
+
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: 40, marginBottom: 16 }}>
+                <p style={{ fontSize: 13, color: '#999', letterSpacing: 0.5, margin: 0 }}>RULES</p>
+                <span style={s.link} onClick={() => setRules(rs => [...rs, { match: '', regex: false, category: 'personal' }])}>+ rule</span>
+              </div>
+              {rules.map((r, i) => (
+                <div key={i} style={{ display: 'grid', gridTemplateColumns: '1fr 60px 130px 16px', gap: 12, alignItems: 'center' }}>
+                  <input style={s.input} type="text" value={r.match} onChange={(e) => updateRule(i, 'match', e.target.value)} placeholder="Merchant contains…" />
+                  <label style={{ ...s.small, display: 'flex', alignItems: 'center', gap: 4 }}><input type="checkbox" checked={r.regex} onChange={(e) => updateRule(i, 'regex', e.target.checked)} />regex</label>
+                  <select style={s.input} value={r.category} onChange={(e) => updateRule(i, 'category', e.target.value)}>{expenseCategories.map(([k, l]) => <option key={k} value={k}>{l}</option>)}</select>
+                  <span style={{ ...s.link, textAlign: 'right' }} onClick={() => setRules(rs => rs.filter((_, j) => j !== i))}>×</span>
+                </div>
+              ))}
+
+              <p style={{ fontSize: 13, color: '#999', marginTop: 40, marginBottom: 16, letterSpacing: 0.5 }}>AVERAGE PER MONTH</p>
+              <p style={s.small}>{transactions.length} transactions over {months} month{months === 1 ? '' : 's'} · {uncategorised.length} uncategorised</p>
+              <div style={{ ...s.card, marginTop: 12 }}>
+                {expenseCategories.map(([k, l]) => (
+                  <div key={k} style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 6, fontSize: 15 }}>
+                    <span style={{ color: '#666' }}>{l}</span>
+                    <span>{k in averages ? fmt(averages[k]) : <span style={{ color: '#ccc' }}>—</span>} <span style={s.small}>now {fmt(num(form[k]) * expenseMultiplier)}</span></span>
+                  </div>
+                ))}
+              </div>
+              {uncategorised.length > 0 && (
+                <div style={{ marginBottom: 24 }}>
+                  <p style={{ ...s.small, marginBottom: 8 }}>Uncategorised — tap one to start a rule</p>
+                  {uncategorised.slice(0, 8).map((t, i) => (
+                    <div key={i} style={{ display: 'flex', justifyContent: 'space-between', fontSize: 13, marginBottom: 4, cursor: 'pointer' }} onClick={() => setRules(rs => [...rs, { match: t.description, regex: false, category: 'personal' }])}>
+                      <span style={{ color: '#666' }}>{t.date} · {t.description}</span><span>{fmt(t.spend)}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+              <button style={{ ...s.btn, width: '100%' }} disabled={!months} onClick={() => applyAverages(averages)}>Use these numbers</button>
+              <button style={{ ...s.btn, width: '100%', marginTop: 12, background: '#fff', color: '#1a1a1a', border: '1px solid #e5e5e5' }} disabled={!months} onClick={() => logTransactions(transactions)}>Log as actual spending</button>
+            </>
+          )}
+        </div>
+      </div>
+    );
+  }
+
   // Setup
   if (view === 'setup') {
     return (
@@ -217,7 +899,7 @@ ONLY valid JSON: {"headline":"...","insights":[...],"oneMove":"..."}` }]
               <input style={s.input} type="text" inputMode="numeric" value={form.age} onChange={(e) => updateField('age', e.target.value)} placeholder="28" />
             </div>
             <div>
-              <label style={s.label}>Income</label>
+              <label style={s.label}>{taxRegion ? 'Gross income, before super' : 'Income'}</label>
               <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
                 <select style={{ ...s.input, width: 60, padding: '10px 0' }} value={form.currency} onChange={(e) => updateField('currency', e.target.value)}>
                   <option>AUD</option><option>USD</option><option>GBP</option><option>EUR</option>
@@ -235,6 +917,27 @@ ONLY valid JSON: {"headline":"...","insights":[...],"oneMove":"..."}` }]
             </div>
           </div>
 
+          <div style={{ display: 'grid', gridTemplateColumns: taxRegion ? '1.4fr 1fr 80px' : '1fr', gap: 16, marginBottom: 24 }}>
+            <div>
+              <label style={s.label}>Tax</label>
+              <select style={{ ...s.input, background: 'transparent' }} value={form.taxRegion} onChange={(e) => updateField('taxRegion', e.target.value)}>
+                {taxRegions.map(([k, l]) => <option key={k} value={k}>{l}</option>)}
+              </select>
+            </div>
+            {taxRegion && (
+              <>
+                <div>
+                  <label style={s.label}>Salary sacrifice / yr</label>
+                  <div style={{ display: 'flex', alignItems: 'center' }}><span style={{ color: '#999', marginRight: 4 }}>{symbol}</span><input style={s.input} type="text" inputMode="numeric" value={form.salarySacrifice} onChange={(e) => updateField('salarySacrifice', e.target.value)} placeholder="0" /></div>
+                </div>
+                <label style={{ ...s.label, alignSelf: 'end', gap: 6, padding: '10px 0', cursor: 'pointer', fontSize: 13 }}>
+                  <input type="checkbox" checked={form.hasHelp} onChange={(e) => updateField('hasHelp', e.target.checked)} />HELP
+                </label>
+              </>
+            )}
+          </div>
+          {taxRegion && form.currency !== taxRegion.currency && <p style={{ ...s.small, marginTop: -12, marginBottom: 24 }}>These rules expect income in {taxRegion.currency}.</p>}
+
           <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 16, marginBottom: 32 }}>
             <div>
               <label style={s.label}>Next payday</label>
@@ -254,24 +957,20 @@ ONLY valid JSON: {"headline":"...","insights":[...],"oneMove":"..."}` }]
           <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 16, marginBottom: 32 }}>
             <div>
               <label style={s.label}>Cash balance</label>
-              <div style={{ display: 'flex', alignItems: 'center' }}><span style={{ color: '#999', marginRight: 4 }}>$</span><input style={s.input} type="text" inputMode="numeric" value={form.cash} onChange={(e) => updateField('cash', e.target.value)} placeholder="15000" /></div>
+              <div style={{ display: 'flex', alignItems: 'center' }}><select style={{ ...s.input, width: 'auto', padding: '10px 0', marginRight: 6, fontSize: 12, color: '#999' }} value={form.cashCurrency || form.currency} onChange={(e) => updateField('cashCurrency', e.target.value)}>{currencies.map(c => <option key={c}>{c}</option>)}</select><input style={s.input} type="text" inputMode="numeric" value={form.cash} onChange={(e) => updateField('cash', e.target.value)} placeholder="15000" /></div>
             </div>
             <div>
               <label style={s.label}>Cash floor <Tip id="floor" text={tooltips.cashFloor} /></label>
-              <div style={{ display: 'flex', alignItems: 'center' }}><span style={{ color: '#999', marginRight: 4 }}>$</span><input style={s.input} type="text" inputMode="numeric" value={form.cashFloor} onChange={(e) => updateField('cashFloor', e.target.value)} placeholder="7000" /></div>
-            </div>
-            <div>
-              <label style={s.label}>Credit balance <Tip id="credit" text={tooltips.creditBalance} /></label>
-              <div style={{ display: 'flex', alignItems: 'center' }}><span style={{ color: '#999', marginRight: 4 }}>$</span><input style={s.input} type="text" inputMode="numeric" value={form.creditBalance} onChange={(e) => updateField('creditBalance', e.target.value)} placeholder="2500" /></div>
+              <div style={{ display: 'flex', alignItems: 'center' }}><span style={{ color: '#999', marginRight: 4 }}>{symbol}</span><input style={s.input} type="text" inputMode="numeric" value={form.cashFloor} onChange={(e) => updateField('cashFloor', e.target.value)} placeholder="7000" /></div>
             </div>
             <div>
               <label style={s.label}>Credit target <Tip id="target" text={tooltips.creditTarget} /></label>
-              <div style={{ display: 'flex', alignItems: 'center' }}><span style={{ color: '#999', marginRight: 4 }}>$</span><input style={s.input} type="text" inputMode="numeric" value={form.creditTarget} onChange={(e) => updateField('creditTarget', e.target.value)} placeholder="2200" /></div>
+              <div style={{ display: 'flex', alignItems: 'center' }}><span style={{ color: '#999', marginRight: 4 }}>{symbol}</span><input style={s.input} type="text" inputMode="numeric" value={form.creditTarget} onChange={(e) => updateField('creditTarget', e.target.value)} placeholder="2200" /></div>
             </div>
           </div>
           
           <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: 40, marginBottom: 16 }}>
-  <p style={{ fontSize: 13, color: '#999', letterSpacing: 0.5, margin: 0 }}>EXPENSES</p>
+  <p style={{ fontSize: 13, color: '#999', letterSpacing: 0.5, margin: 0 }}>EXPENSES <span style={{ ...s.link, marginLeft: 12, letterSpacing: 0 }} onClick={() => setView('import')}>import CSV</span></p>
   <select 
     style={{ ...s.input, width: 'auto', padding: '4px 8px', fontSize: 12, borderBottom: 'none', color: '#999' }} 
     value={form.expenseFrequency} 
@@ -283,52 +982,241 @@ ONLY valid JSON: {"headline":"...","insights":[...],"oneMove":"..."}` }]
   </select>
 </div>
           <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 16, marginBottom: 32 }}>
-            {[['rent','Rent/mortgage'],['utilities','Utilities'],['groceries','Groceries'],['dining','Dining/social'],['transport','Transport'],['health','Health/fitness'],['subscriptions','Subscriptions'],['personal','Personal'],['savings_invest','Savings/invest']].map(([k,l]) => (
+            {expenseCategories.map(([k,l]) => (
               <div key={k}>
                 <label style={s.label}>{l}</label>
-                <div style={{ display: 'flex', alignItems: 'center' }}><span style={{ color: '#999', marginRight: 4 }}>$</span><input style={s.input} type="text" inputMode="numeric" value={form[k]} onChange={(e) => updateField(k, e.target.value)} placeholder="0" /></div>
+                <div style={{ display: 'flex', alignItems: 'center' }}><span style={{ color: '#999', marginRight: 4 }}>{symbol}</span><input style={s.input} type="text" inputMode="numeric" value={form[k]} onChange={(e) => updateField(k, e.target.value)} placeholder="0" /></div>
               </div>
             ))}
           </div>
-          
+
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: 40, marginBottom: 16 }}>
+            <p style={{ fontSize: 13, color: '#999', letterSpacing: 0.5, margin: 0 }}>RECURRING BILLS</p>
+            <span style={s.link} onClick={() => updateField('bills', [...form.bills, newBill()])}>+ add</span>
+          </div>
+          {form.bills.length > 0 && <p style={{ ...s.small, marginTop: -8 }}>Bills are part of the expenses above; they only set when the money goes out. {fmt(monthlyBills(form.bills))}/mo in bills.</p>}
+          {form.bills.map(b => (
+            <div key={b.id} style={{ padding: '4px 0 12px', borderBottom: '1px solid #f3f3f3' }}>
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 16px', gap: 12, alignItems: 'center' }}>
+                <input style={s.input} type="text" value={b.name} onChange={(e) => updateBill(b.id, 'name', e.target.value)} placeholder="Rent, insurance, Netflix…" />
+                <div style={{ display: 'flex', alignItems: 'center' }}><span style={{ color: '#999', marginRight: 4 }}>{symbol}</span><input style={s.input} type="text" inputMode="numeric" value={b.amount} onChange={(e) => updateBill(b.id, 'amount', e.target.value)} placeholder="Amount" /></div>
+                <span style={{ ...s.link, textAlign: 'right' }} onClick={() => updateField('bills', form.bills.filter(x => x.id !== b.id))}>×</span>
+              </div>
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 12 }}>
+                <select style={s.input} value={b.cadence} onChange={(e) => updateBill(b.id, 'cadence', e.target.value)}>{billCadences.map(([k, l]) => <option key={k} value={k}>{l}</option>)}</select>
+                <input style={s.input} type="date" value={b.due} onChange={(e) => updateBill(b.id, 'due', e.target.value)} />
+                <select style={s.input} value={b.from} onChange={(e) => updateBill(b.id, 'from', e.target.value)}>{billAccounts.map(([k, l]) => <option key={k} value={k}>Paid by {l.toLowerCase()}</option>)}</select>
+              </div>
+            </div>
+          ))}
+          <div style={{ marginBottom: 32 }} />
+
           <p style={{ fontSize: 13, color: '#999', marginTop: 40, marginBottom: 16, letterSpacing: 0.5 }}>ASSETS</p>
-          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 16, marginBottom: 32 }}>
-            {[['etfs','Stocks/ETFs'],['crypto','Crypto'],['super','401k/Super'],['property','Property equity'],['other_assets','Other']].map(([k,l]) => (
+          {holdingClasses.map(([cls, l]) => (
+            <div key={cls} style={{ marginBottom: 24 }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <label style={{ ...s.label, marginBottom: 0 }}>{l}</label>
+                <span style={s.link} onClick={() => updateField('holdings', [...form.holdings, newHolding(cls)])}>+ add</span>
+              </div>
+              {form.holdings.filter(h => h.cls === cls).map(h => (
+                <div key={h.id} style={{ padding: '4px 0 12px', borderBottom: '1px solid #f3f3f3' }}>
+                  <div style={{ display: 'grid', gridTemplateColumns: '1.4fr 1fr 60px 50px 16px', gap: 12, alignItems: 'center' }}>
+                    <input style={s.input} type="text" value={h.name} onChange={(e) => updateHolding(h.id, 'name', e.target.value)} placeholder={cls === 'property' ? 'Address' : 'Ticker or description'} />
+                    <input style={s.input} type="text" value={h.account} onChange={(e) => updateHolding(h.id, 'account', e.target.value)} placeholder="Account" />
+                    <select style={{ ...s.input, fontSize: 12, color: '#999' }} value={h.currency || form.currency} onChange={(e) => updateHolding(h.id, 'currency', e.target.value)}>{currencies.map(c => <option key={c}>{c}</option>)}</select>
+                    <label style={{ ...s.small, display: 'flex', alignItems: 'center', gap: 4 }}><input type="checkbox" checked={!!h.shared} onChange={(e) => updateHolding(h.id, 'shared', e.target.checked)} />joint</label>
+                    <span style={{ ...s.link, textAlign: 'right' }} onClick={() => updateField('holdings', form.holdings.filter(x => x.id !== h.id))}>×</span>
+                  </div>
+                  <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr 1fr', gap: 12 }}>
+                    <input style={s.input} type="text" inputMode="decimal" value={h.units} onChange={(e) => updateHolding(h.id, 'units', e.target.value)} placeholder="Units" />
+                    <input style={s.input} type="text" inputMode="decimal" value={h.price} onChange={(e) => updateHolding(h.id, 'price', e.target.value)} placeholder="Price" />
+                    <input style={s.input} type="text" inputMode="numeric" value={num(h.units) && num(h.price) ? Math.round(holdingValue(h)) : h.value} disabled={!!(num(h.units) && num(h.price))} onChange={(e) => updateHolding(h.id, 'value', e.target.value)} placeholder="Value" />
+                    <input style={s.input} type="text" inputMode="numeric" value={h.costBasis} onChange={(e) => updateHolding(h.id, 'costBasis', e.target.value)} placeholder="Cost basis" />
+                  </div>
+                </div>
+              ))}
+            </div>
+          ))}
+          <div style={{ marginBottom: 8 }} />
+
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: 40, marginBottom: 16 }}>
+            <p style={{ fontSize: 13, color: '#999', letterSpacing: 0.5, margin: 0, display: 'flex', alignItems: 'center' }}>LIABILITIES <Tip id="debts" text={tooltips.debts} /></p>
+            <span style={s.link} onClick={() => updateField('debts', [...form.debts, newDebt()])}>+ add</span>
+          </div>
+          {form.debts.map(d => (
+            <div key={d.id} style={{ padding: '4px 0 12px', borderBottom: '1px solid #f3f3f3' }}>
+              <div style={{ display: 'grid', gridTemplateColumns: '130px 1fr 50px 16px', gap: 12, alignItems: 'center' }}>
+                <select style={s.input} value={d.type} onChange={(e) => updateDebt(d.id, 'type', e.target.value)}>{debtTypes.map(([k, l]) => <option key={k} value={k}>{l}</option>)}</select>
+                <input style={s.input} type="text" value={d.name} onChange={(e) => updateDebt(d.id, 'name', e.target.value)} placeholder="Lender or name" />
+                <label style={{ ...s.small, display: 'flex', alignItems: 'center', gap: 4 }}><input type="checkbox" checked={!!d.shared} onChange={(e) => updateDebt(d.id, 'shared', e.target.checked)} />joint</label>
+                <span style={{ ...s.link, textAlign: 'right' }} onClick={() => updateField('debts', form.debts.filter(x => x.id !== d.id))}>×</span>
+              </div>
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 12 }}>
+                <div style={{ display: 'flex', alignItems: 'center' }}><span style={{ color: '#999', marginRight: 4 }}>{symbol}</span><input style={s.input} type="text" inputMode="numeric" value={d.balance} onChange={(e) => updateDebt(d.id, 'balance', e.target.value)} placeholder="Balance" /></div>
+                <input style={s.input} type="text" inputMode="decimal" value={d.rate} onChange={(e) => updateDebt(d.id, 'rate', e.target.value)} placeholder="Rate % p.a." />
+                <div style={{ display: 'flex', alignItems: 'center' }}><span style={{ color: '#999', marginRight: 4 }}>{symbol}</span><input style={s.input} type="text" inputMode="numeric" value={d.minPayment} onChange={(e) => updateDebt(d.id, 'minPayment', e.target.value)} placeholder="Min / month" /></div>
+              </div>
+            </div>
+          ))}
+          <div style={{ marginBottom: 32 }} />
+
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: 40, marginBottom: 16 }}>
+            <p style={{ fontSize: 13, color: '#999', letterSpacing: 0.5, margin: 0 }}>GOALS</p>
+            <span style={s.link} onClick={() => updateField('goals', [...form.goals, newGoal()])}>+ add</span>
+          </div>
+          {form.goals.map(g => (
+            <div key={g.id} style={{ padding: '4px 0 12px', borderBottom: '1px solid #f3f3f3' }}>
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 110px 16px', gap: 12, alignItems: 'center' }}>
+                <input style={s.input} type="text" value={g.name} onChange={(e) => updateGoal(g.id, 'name', e.target.value)} placeholder="House deposit, emergency fund…" />
+                <select style={s.input} value={g.priority} onChange={(e) => updateGoal(g.id, 'priority', e.target.value)}>{priorities.map(([k, l]) => <option key={k} value={k}>{l}</option>)}</select>
+                <span style={{ ...s.link, textAlign: 'right' }} onClick={() => updateField('goals', form.goals.filter(x => x.id !== g.id))}>×</span>
+              </div>
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 12 }}>
+                <div style={{ display: 'flex', alignItems: 'center' }}><span style={{ color: '#999', marginRight: 4 }}>{symbol}</span><input style={s.input} type="text" inputMode="numeric" value={g.target} onChange={(e) => updateGoal(g.id, 'target', e.target.value)} placeholder="Target" /></div>
+                <input style={s.input} type="date" value={g.date} onChange={(e) => updateGoal(g.id, 'date', e.target.value)} />
+                <select style={s.input} value={g.source} onChange={(e) => updateGoal(g.id, 'source', e.target.value)}>{goalSources.map(([k, l]) => <option key={k} value={k}>{l}</option>)}</select>
+              </div>
+            </div>
+          ))}
+          <div style={{ marginBottom: 32 }} />
+
+          {foreign.length > 0 && (
+            <>
+              <p style={{ fontSize: 13, color: '#999', marginTop: 40, marginBottom: 16, letterSpacing: 0.5 }}>EXCHANGE RATES</p>
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 16, marginBottom: 32 }}>
+                {foreign.map(c => (
+                  <div key={c}>
+                    <label style={s.label}><span style={s.dot(hasRate(c, form.currency, form.fxRates))} />1 {c} in {form.currency}</label>
+                    <input style={s.input} type="text" inputMode="decimal" value={form.fxRates[c] || ''} onChange={(e) => updateField('fxRates', { ...form.fxRates, [c]: e.target.value })} placeholder="1.00" />
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+
+          <p style={{ fontSize: 13, color: '#999', marginTop: 40, marginBottom: 16, letterSpacing: 0.5 }}>PROJECTION</p>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr 1fr', gap: 16, marginBottom: 24 }}>
+            {[['horizon','Years',`1–${MAX_HORIZON}`],['inflation','Inflation %','2.5'],['salaryGrowth','Salary growth %','3'],['investShare','Surplus invested %','80']].map(([k,l,ph]) => (
               <div key={k}>
                 <label style={s.label}>{l}</label>
-                <div style={{ display: 'flex', alignItems: 'center' }}><span style={{ color: '#999', marginRight: 4 }}>$</span><input style={s.input} type="text" inputMode="numeric" value={form[k]} onChange={(e) => updateField(k, e.target.value)} placeholder="0" /></div>
+                <input style={s.input} type="text" inputMode="decimal" value={form[k]} onChange={(e) => updateField(k, e.target.value)} placeholder={ph} />
               </div>
             ))}
           </div>
-          
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr 1fr', gap: 16, marginBottom: 32 }}>
+            <label style={s.label}>Return % / yr</label>
+            {scenarioNames.map(n => <label key={n} style={s.label}>{n}</label>)}
+            {assetClasses.map(([k,l]) => (
+              <div key={k} style={{ display: 'contents' }}>
+                <span style={{ fontSize: 15, color: '#666', alignSelf: 'center' }}>{l}</span>
+                {scenarioNames.map((n, i) => (
+                  <input key={n} style={s.input} type="text" inputMode="decimal" value={form.returns[k]?.[i] ?? ''} placeholder={defaultReturns[k][i]}
+                    onChange={(e) => updateField('returns', { ...form.returns, [k]: Object.assign([...(form.returns[k] || defaultReturns[k])], { [i]: e.target.value }) })} />
+                ))}
+              </div>
+            ))}
+          </div>
+
+          <p style={{ fontSize: 13, color: '#999', marginTop: 40, marginBottom: 16, letterSpacing: 0.5 }}>RETIREMENT</p>
+          <div style={{ display: 'grid', gridTemplateColumns: '1.4fr 1fr 1fr', gap: 16, marginBottom: 24 }}>
+            <div>
+              <label style={s.label}>Spending / yr in retirement</label>
+              <div style={{ display: 'flex', alignItems: 'center' }}><span style={{ color: '#999', marginRight: 4 }}>{symbol}</span><input style={s.input} type="text" inputMode="numeric" value={form.fiSpending} onChange={(e) => updateField('fiSpending', e.target.value)} placeholder={String(Math.round(expenses * 12))} /></div>
+            </div>
+            {[['withdrawalRate','Withdrawal %','4'],['preservationAge','Super unlocks at','60']].map(([k,l,ph]) => (
+              <div key={k}>
+                <label style={s.label}>{l}</label>
+                <input style={s.input} type="text" inputMode="decimal" value={form[k]} onChange={(e) => updateField(k, e.target.value)} placeholder={ph} />
+              </div>
+            ))}
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 16, marginBottom: 32 }}>
+            {[['fiReturn','Average return % / yr','7'],['fiVolatility','Volatility % / yr','15']].map(([k,l,ph]) => (
+              <div key={k}>
+                <label style={s.label}>{l}</label>
+                <input style={s.input} type="text" inputMode="decimal" value={form[k]} onChange={(e) => updateField(k, e.target.value)} placeholder={ph} />
+              </div>
+            ))}
+          </div>
+
           <div style={{ borderTop: '1px solid #eee', paddingTop: 24, marginBottom: 32 }}>
             <label style={{ display: 'flex', alignItems: 'center', gap: 10, cursor: 'pointer', fontSize: 15 }}>
               <input type="checkbox" checked={form.hasEquity} onChange={(e) => updateField('hasEquity', e.target.checked)} />
               I have startup equity
             </label>
             {form.hasEquity && (
-              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 16, marginTop: 20 }}>
-                <div>
-                  <label style={s.label}>Total equity value</label>
-                  <div style={{ display: 'flex', alignItems: 'center' }}><span style={{ color: '#999', marginRight: 4 }}>$</span><input style={s.input} type="text" inputMode="numeric" value={form.equityValue} onChange={(e) => updateField('equityValue', e.target.value)} placeholder="190000" /></div>
+              <>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: 20 }}>
+                  <label style={{ ...s.label, marginBottom: 0 }}>Grants</label>
+                  <span style={s.link} onClick={() => updateField('grants', [...form.grants, newGrant()])}>+ add</span>
                 </div>
-                <div>
-                  <label style={s.label}>Company valuation</label>
-                  <div style={{ display: 'flex', alignItems: 'center' }}><span style={{ color: '#999', marginRight: 4 }}>$</span><input style={s.input} type="text" inputMode="numeric" value={form.companyVal} onChange={(e) => updateField('companyVal', e.target.value)} placeholder="6700000" /></div>
+                {form.grants.map(g => (
+                  <div key={g.id} style={{ padding: '4px 0 12px', borderBottom: '1px solid #f3f3f3' }}>
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr 16px', gap: 12, alignItems: 'center' }}>
+                      <select style={s.input} value={g.type} onChange={(e) => updateGrant(g.id, 'type', e.target.value)}>{grantTypes.map(([k, l]) => <option key={k} value={k}>{l}</option>)}</select>
+                      <input style={s.input} type="date" value={g.grantDate} onChange={(e) => updateGrant(g.id, 'grantDate', e.target.value)} />
+                      <input style={s.input} type="text" inputMode="numeric" value={g.shares} onChange={(e) => updateGrant(g.id, 'shares', e.target.value)} placeholder="Shares" />
+                      <span style={{ ...s.link, textAlign: 'right' }} onClick={() => updateField('grants', form.grants.filter(x => x.id !== g.id))}>×</span>
+                    </div>
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 12 }}>
+                      {g.type === 'option' ? <input style={s.input} type="text" inputMode="decimal" value={g.strike} onChange={(e) => updateGrant(g.id, 'strike', e.target.value)} placeholder="Strike price" /> : <span />}
+                      <input style={s.input} type="text" inputMode="decimal" value={g.fmv} onChange={(e) => updateGrant(g.id, 'fmv', e.target.value)} placeholder="409A price" />
+                      <input style={s.input} type="text" inputMode="decimal" value={g.preferred} onChange={(e) => updateGrant(g.id, 'preferred', e.target.value)} placeholder="Preferred price" />
+                    </div>
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 12 }}>
+                      <input style={s.input} type="text" inputMode="numeric" value={g.cliffMonths} onChange={(e) => updateGrant(g.id, 'cliffMonths', e.target.value)} placeholder="Cliff (months)" />
+                      <input style={s.input} type="text" inputMode="numeric" value={g.vestingMonths} onChange={(e) => updateGrant(g.id, 'vestingMonths', e.target.value)} placeholder="Vesting (months)" />
+                      <select style={s.input} value={g.cadence} onChange={(e) => updateGrant(g.id, 'cadence', e.target.value)}>{cadences.map(([k, l]) => <option key={k} value={k}>Vests {l.toLowerCase()}</option>)}</select>
+                    </div>
+                  </div>
+                ))}
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 16, marginTop: 20 }}>
+                  <div>
+                    <label style={s.label}>Company valuation</label>
+                    <div style={{ display: 'flex', alignItems: 'center' }}><span style={{ color: '#999', marginRight: 4 }}>{symbol}</span><input style={s.input} type="text" inputMode="numeric" value={form.companyVal} onChange={(e) => updateField('companyVal', e.target.value)} placeholder="6700000" /></div>
+                  </div>
+                  <div>
+                    <label style={s.label}>Fully diluted shares</label>
+                    <input style={s.input} type="text" inputMode="numeric" value={form.fullyDilutedShares} onChange={(e) => updateField('fullyDilutedShares', e.target.value)} placeholder="10000000" />
+                  </div>
+                  <div>
+                    <label style={s.label}>Dilution to exit %</label>
+                    <input style={s.input} type="text" inputMode="decimal" value={form.dilution} onChange={(e) => updateField('dilution', e.target.value)} placeholder="20" />
+                  </div>
+                  <div>
+                    <label style={s.label}>Tax on gains %</label>
+                    <input style={s.input} type="text" inputMode="decimal" value={form.equityTaxRate} onChange={(e) => updateField('equityTaxRate', e.target.value)} placeholder="30" />
+                  </div>
                 </div>
-                <div>
-                  <label style={s.label}>Vesting period (months)</label>
-                  <input style={s.input} type="text" inputMode="numeric" value={form.vestingMonths} onChange={(e) => updateField('vestingMonths', e.target.value)} placeholder="48" />
-                </div>
-                <div>
-                  <label style={s.label}>Months vested</label>
-                  <input style={s.input} type="text" inputMode="numeric" value={form.vestedMonths} onChange={(e) => updateField('vestedMonths', e.target.value)} placeholder="12" />
-                </div>
-              </div>
+                <p style={{ ...s.small, marginTop: 8 }}>Grants without a preferred price are valued at valuation ÷ fully diluted shares.</p>
+                <label style={{ display: 'flex', alignItems: 'center', gap: 10, cursor: 'pointer', fontSize: 15, marginTop: 20 }}>
+                  <input type="checkbox" checked={form.equityInProjection} onChange={(e) => updateField('equityInProjection', e.target.checked)} />
+                  Include an exit in the projection
+                </label>
+                {form.equityInProjection && (
+                  <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 16, marginTop: 12 }}>
+                    <div>
+                      <label style={s.label}>Exit at × last round</label>
+                      <input style={s.input} type="text" inputMode="decimal" value={form.exitMultiple} onChange={(e) => updateField('exitMultiple', e.target.value)} placeholder="1" />
+                    </div>
+                    <div>
+                      <label style={s.label}>In year</label>
+                      <input style={s.input} type="text" inputMode="numeric" value={form.exitYear} onChange={(e) => updateField('exitYear', e.target.value)} placeholder="5" />
+                    </div>
+                  </div>
+                )}
+                {exitOutside && <p style={{ ...s.small, color: '#ef4444', marginTop: 8 }}>Year {num(form.exitYear)} falls outside the {horizon}-year projection, so the exit isn't included. Pick a year from 1 to {horizon}.</p>}
+              </>
             )}
           </div>
           
-          <button style={{ ...s.btn, width: '100%' }} onClick={() => setView('dashboard')}>Show me everything</button>
+          {formErrors.length > 0 && (
+            <div style={{ marginBottom: 16 }}>
+              {formErrors.map(e => <p key={e.field} style={{ ...s.small, color: '#ef4444', margin: '4px 0' }}>{e.message}</p>)}
+              <p style={{ ...s.small, margin: '8px 0 0' }}>Fix {formErrors.length === 1 ? 'this' : 'these'} to continue; the numbers would otherwise be misread.</p>
+            </div>
+          )}
+          <button style={{ ...s.btn, width: '100%' }} disabled={formErrors.length > 0} onClick={() => { checkIn(); setView('dashboard'); }}>Show me everything</button>
         </div>
       </div>
     );
@@ -339,9 +1227,18 @@ ONLY valid JSON: {"headline":"...","insights":[...],"oneMove":"..."}` }]
     <div style={s.page}>
       <div style={{ ...s.wrap, minHeight: '100vh', display: 'flex', flexDirection: 'column', justifyContent: 'center' }}>
         <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 40 }}>
-          <div />
+          <div style={{ display: 'flex', gap: 16, alignItems: 'center' }}>
+            <select style={{ ...s.link, border: 'none', background: 'transparent', fontFamily: 'Georgia, serif', padding: 0 }} value={activeId} onChange={(e) => switchProfile(e.target.value)}>
+              {allProfiles.map((p, i) => <option key={p.id} value={p.id}>{profileName(p, i)}</option>)}
+              <option value="new">+ new profile</option>
+            </select>
+            {allProfiles.length > 1 && <span style={s.link} onClick={() => { setProfiles(allProfiles); setView('household'); }}>household</span>}
+          </div>
           <div style={{ display: 'flex', gap: 16 }}>
+            <span style={s.link} onClick={checkIn}>check in</span>
             <span style={s.link} onClick={() => setView('setup')}>edit</span>
+            <span style={s.link} onClick={() => setView('data')}>data</span>
+            <span style={s.link} onClick={() => setView('report')}>report</span>
             <span style={{ ...s.link, color: '#ccc' }} onClick={reset}>reset</span>
           </div>
         </div>
@@ -351,60 +1248,361 @@ ONLY valid JSON: {"headline":"...","insights":[...],"oneMove":"..."}` }]
         
         <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 12 }}>
           <div style={s.card}>
-            <p style={s.label}><span style={s.dot(cashOk)} />Cash</p>
-            <p style={s.metric}>{fmt(num(form.cash))}</p>
+            <p style={s.label}><span style={s.dot(status.cash)} />Cash</p>
+            <p style={s.metric}>{fmt(cash)}</p>
             <p style={s.small}>floor {fmt(num(form.cashFloor))}</p>
           </div>
           <div style={s.card}>
-            <p style={s.label}><span style={s.dot(creditOk)} />Credit</p>
-            <p style={s.metric}>{fmt(num(form.creditBalance))}</p>
-            <p style={s.small}>target ≤{fmt(num(form.creditTarget))}</p>
+            <p style={s.label}><span style={s.dot(status.debt)} />Debt</p>
+            <p style={s.metric}>{fmt(totalDebt)}</p>
+            <p style={s.small}>cards {fmt(cardBalance)} · target ≤{fmt(num(form.creditTarget))}</p>
           </div>
           <div style={s.card}>
-            <p style={s.label}><span style={s.dot(rateOk)} />Rate</p>
+            <p style={s.label}><span style={s.dot(status.rate)} />Rate</p>
             <p style={s.metric}>{pct(rate)}</p>
             <p style={s.small}>{fmt(surplus)}/mo</p>
           </div>
         </div>
         
+        {taxRegion && (
+          <div style={{ ...s.card, marginTop: 12 }}>
+            <p style={{ ...s.label, marginBottom: 16 }}>Pay · {taxRegion.label}</p>
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 6, fontSize: 15 }}>
+              <span style={{ color: '#666' }}>Gross</span><span>{fmt(grossMonthly)}/mo</span>
+            </div>
+            {pay.deductions.map(([l, v]) => (
+              <div key={l} style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 6, fontSize: 15 }}>
+                <span style={{ color: '#666' }}>{l}</span><span style={{ color: '#999' }}>−{fmt(v / 12)}</span>
+              </div>
+            ))}
+            <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 15, paddingTop: 8, borderTop: '1px solid #eee' }}>
+              <span>Take-home</span><span>{fmt(monthlyIncome)}/mo</span>
+            </div>
+            <p style={{ ...s.small, marginTop: 16 }}>
+              Super {fmt(pay.super.net / 12)}/mo after contributions tax · employer {fmt(pay.super.employer / 12)}{pay.super.sacrifice > 0 && ` + sacrifice ${fmt(pay.super.sacrifice / 12)}`}
+            </p>
+            {pay.warnings.map(w => <p key={w} style={{ ...s.small, color: '#ef4444' }}>{w}</p>)}
+          </div>
+        )}
+
+        {goalPlan.goals.length > 0 && (
+          <div style={{ ...s.card, marginTop: 12 }}>
+            <p style={{ ...s.label, marginBottom: 16 }}>Goals</p>
+            {goalPlan.goals.map(g => (
+              <div key={g.id} style={{ marginBottom: 12 }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 15 }}>
+                  <span style={{ color: '#666' }}><span style={s.dot(g.status !== 'behind')} />{g.name || 'Unnamed goal'}</span>
+                  <span>{fmt(g.current)} <span style={s.small}>of {fmt(g.target)}</span></span>
+                </div>
+                <div style={{ height: 3, background: '#eee', borderRadius: 2, margin: '6px 0' }}>
+                  <div style={{ height: 3, width: `${Math.min(100, g.current / g.target * 100)}%`, background: '#1a1a1a', borderRadius: 2 }} />
+                </div>
+                <p style={s.small}>
+                  {g.status === 'done' ? 'Funded.'
+                    : g.months ? `Needs ${fmt(g.required)}/mo for ${g.months} mo · surplus covers ${fmt(g.allocated)}`
+                    : form.goals.find(x => x.id === g.id).date ? `Past due · ${fmt(g.remaining)} short`
+                    : `${fmt(g.allocated)}/mo from what's left`}
+                  {g.status !== 'done' && g.reachBy && ` · lands ${new Date(g.reachBy + 'T00:00').toLocaleDateString(undefined, { month: 'short', year: 'numeric' })}`}
+                </p>
+              </div>
+            ))}
+            {goalPlan.unallocated > 0 && <p style={{ ...s.small, paddingTop: 12, borderTop: '1px solid #eee' }}>{fmt(goalPlan.unallocated)}/mo of surplus isn't assigned to a goal.</p>}
+          </div>
+        )}
+
+        <div style={{ ...s.card, marginTop: 12 }}>
+          <p style={{ ...s.label, marginBottom: 16 }}>On payday</p>
+          {paySchedule.length ? (
+            <>
+              <div style={{ display: 'grid', gridTemplateColumns: '1.2fr 1fr 1fr 1fr', gap: 8, fontSize: 12, color: '#999', marginBottom: 8 }}>
+                <span>Date</span><span style={{ textAlign: 'right' }}>To card</span><span style={{ textAlign: 'right' }}>To invest</span><span style={{ textAlign: 'right' }}>Cash stays</span>
+              </div>
+              {paySchedule.map(c => (
+                <div key={c.date} style={{ display: 'grid', gridTemplateColumns: '1.2fr 1fr 1fr 1fr', gap: 8, fontSize: 15, marginBottom: 6 }}>
+                  <span style={{ color: '#666' }}><span style={s.dot(!c.short)} />{new Date(c.date + 'T00:00').toLocaleDateString(undefined, { day: 'numeric', month: 'short' })}</span>
+                  <span style={{ textAlign: 'right' }}>{fmt(c.toCard)}</span>
+                  <span style={{ textAlign: 'right' }}>{fmt(c.toInvest)}</span>
+                  <span style={{ textAlign: 'right' }}>{fmt(c.cash)}</span>
+                </div>
+              ))}
+              {paySchedule.some(c => c.short) && <p style={{ ...s.small, marginTop: 12 }}>Red cycles can't cover both the floor and the card target.</p>}
+            </>
+          ) : (
+            <p style={{ color: '#999', fontSize: 14, fontStyle: 'italic' }}>Add your next payday to see what moves each cycle.</p>
+          )}
+        </div>
+
+        {forecast.length > 0 && (
+          <div style={{ ...s.card, marginTop: 12 }}>
+            <p style={{ ...s.label, marginBottom: 16 }}><span style={s.dot(!breaches.length)} />Next 90 days</p>
+            <div style={{ height: 160 }}>
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={forecast}>
+                  <XAxis dataKey="date" tick={{ fontSize: 11, fill: '#999' }} tickLine={false} axisLine={false} tickFormatter={shortDate} minTickGap={30} />
+                  <YAxis tick={{ fontSize: 11, fill: '#999' }} tickLine={false} axisLine={false} tickFormatter={fmtAxis} width={50} />
+                  <Tooltip formatter={v => fmt(v)} labelFormatter={shortDate} />
+                  {num(form.cashFloor) > 0 && <ReferenceLine y={num(form.cashFloor)} stroke="#ef4444" strokeDasharray="2 4" />}
+                  <Line type="stepAfter" dataKey="cash" stroke="#1a1a1a" strokeWidth={2} dot={false} />
+                  <Line type="stepAfter" dataKey="credit" stroke="#999" strokeWidth={1} strokeDasharray="4 4" dot={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+            {breaches.length > 0 ? (
+              <p style={{ ...s.small, marginTop: 12 }}>
+                {breaches.filter(d => d.belowFloor).length > 0 && `Cash under the floor on ${breaches.filter(d => d.belowFloor).length} days, first ${shortDate(breaches.find(d => d.belowFloor).date)}. `}
+                {breaches.filter(d => d.overTarget).length > 0 && `Card over target on ${breaches.filter(d => d.overTarget).length} days, first ${shortDate(breaches.find(d => d.overTarget).date)}.`}
+              </p>
+            ) : (
+              <p style={{ ...s.small, marginTop: 12 }}>Cash stays above the floor and the card under target.</p>
+            )}
+            {upcomingBills.length > 0 && (
+              <div style={{ marginTop: 16, paddingTop: 16, borderTop: '1px solid #eee' }}>
+                {upcomingBills.map((b, i) => (
+                  <div key={i} style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 6, fontSize: 15 }}>
+                    <span style={{ color: '#666' }}>{shortDate(b.date)} · {b.name || 'Bill'} <span style={s.small}>{b.from}</span></span>
+                    <span>{fmt(b.amount)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
         <div style={{ ...s.card, marginTop: 12 }}>
-          <p style={{ ...s.label, marginBottom: 16 }}>Projection</p>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
+            <p style={{ ...s.label, marginBottom: 0 }}>{budgetShown && <span style={s.dot(budgetShown.variance >= 0)} />}Budget vs actual</p>
+            <div style={{ display: 'flex', gap: 12, alignItems: 'center' }}>
+              {budgetMonths.length > 1 && (
+                <select style={{ ...s.input, width: 'auto', padding: '4px 0', fontSize: 12, borderBottom: 'none', color: '#999' }} value={budgetShown.month} onChange={(e) => setBudgetMonth(e.target.value)}>
+                  {budgetMonths.map(m => <option key={m.month} value={m.month}>{monthLabel(m.month)}</option>)}
+                </select>
+              )}
+              <span style={s.link} onClick={() => setView('spending')}>log</span>
+            </div>
+          </div>
+          {budgetShown ? (
+            <>
+              <div style={{ display: 'grid', gridTemplateColumns: '1.4fr 1fr 1fr 1fr', gap: 8, fontSize: 12, color: '#999', marginBottom: 8 }}>
+                <span>{monthLabel(budgetShown.month)}</span><span style={{ textAlign: 'right' }}>Spent</span><span style={{ textAlign: 'right' }}>Budget</span><span style={{ textAlign: 'right' }}>Left</span>
+              </div>
+              {budgetShown.rows.filter(r => r.actual !== null).map(r => (
+                <div key={r.key} style={{ display: 'grid', gridTemplateColumns: '1.4fr 1fr 1fr 1fr', gap: 8, fontSize: 15, marginBottom: 6 }}>
+                  <span style={{ color: '#666' }}>{r.label}{r.change !== null && Math.abs(r.change) >= 0.005 && <span style={s.small}> {r.change > 0 ? '↑' : '↓'}{Math.round(Math.abs(r.change) * 100)}%</span>}</span>
+                  <span style={{ textAlign: 'right' }}>{fmt(r.actual)}</span>
+                  <span style={{ textAlign: 'right', color: '#999' }}>{fmt(r.available)}{r.rollover > 0 && <span style={s.small}> incl. {fmt(r.rollover)}</span>}</span>
+                  <span style={{ textAlign: 'right', color: r.variance < 0 ? '#ef4444' : '#1a1a1a' }}>{fmt(r.variance)}</span>
+                </div>
+              ))}
+              <div style={{ display: 'grid', gridTemplateColumns: '1.4fr 1fr 1fr 1fr', gap: 8, fontSize: 15, paddingTop: 8, borderTop: '1px solid #eee' }}>
+                <span>Total</span><span style={{ textAlign: 'right' }}>{fmt(budgetShown.actual)}</span><span style={{ textAlign: 'right', color: '#999' }}>{fmt(budgetShown.available)}</span>
+                <span style={{ textAlign: 'right', color: budgetShown.variance < 0 ? '#ef4444' : '#1a1a1a' }}>{fmt(budgetShown.variance)}</span>
+              </div>
+              {budgetMonths.length > 1 && (
+                <div style={{ height: 120, marginTop: 16 }}>
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={budgetMonths}>
+                      <XAxis dataKey="month" tick={{ fontSize: 11, fill: '#999' }} tickLine={false} axisLine={false} tickFormatter={monthLabel} />
+                      <YAxis tick={{ fontSize: 11, fill: '#999' }} tickLine={false} axisLine={false} tickFormatter={fmtAxis} width={50} />
+                      <Tooltip formatter={v => fmt(v)} labelFormatter={monthLabel} />
+                      <Line type="monotone" dataKey="actual" stroke="#1a1a1a" strokeWidth={2} dot={false} />
+                      <Line type="monotone" dataKey="available" stroke="#bbb" strokeWidth={1} strokeDasharray="4 4" dot={false} />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              )}
+              <p style={{ ...s.small, marginTop: 8 }}>Unspent budget rolls into the next month. Arrows compare with the previous month logged.</p>
+            </>
+          ) : (
+            <p style={{ color: '#999', fontSize: 14, fontStyle: 'italic' }}>Log what you actually spent to see how it tracks against your budget.</p>
+          )}
+        </div>
+
+        <div style={{ ...s.card, marginTop: 12 }}>
+          <p style={{ ...s.label, marginBottom: 16 }}>Projection · {horizon} years{num(form.inflation) ? ", in today's dollars" : ''}</p>
           <div style={{ height: 180 }}>
             <ResponsiveContainer width="100%" height="100%">
               <LineChart data={projectionData}>
                 <XAxis dataKey="year" tick={{ fontSize: 11, fill: '#999' }} tickLine={false} axisLine={false} />
-                <YAxis tick={{ fontSize: 11, fill: '#999' }} tickLine={false} axisLine={false} tickFormatter={v => v >= 1000000 ? `$${(v/1000000).toFixed(1)}M` : `$${Math.round(v/1000)}K`} width={50} />
+                <YAxis tick={{ fontSize: 11, fill: '#999' }} tickLine={false} axisLine={false} tickFormatter={fmtAxis} width={50} />
                 <Tooltip formatter={v => fmt(v)} labelFormatter={v => `Year ${v}`} />
-                <Line type="monotone" dataKey="value" stroke="#1a1a1a" strokeWidth={2} dot={false} />
+                <Line type="monotone" dataKey="optimistic" stroke="#bbb" strokeWidth={1} strokeDasharray="4 4" dot={false} />
+                <Line type="monotone" dataKey="expected" stroke="#1a1a1a" strokeWidth={2} dot={false} />
+                <Line type="monotone" dataKey="conservative" stroke="#bbb" strokeWidth={1} strokeDasharray="4 4" dot={false} />
               </LineChart>
             </ResponsiveContainer>
           </div>
           <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: 16, paddingTop: 16, borderTop: '1px solid #eee' }}>
-            {[1,2,3,5].map(y => <div key={y} style={{ textAlign: 'center' }}><p style={s.small}>{y}yr</p><p style={{ fontSize: 15, margin: '4px 0' }}>{fmt(projectionData.find(d => d.year === y)?.value || 0)}</p></div>)}
+            {milestones(horizon).map(y => <div key={y} style={{ textAlign: 'center' }}><p style={s.small}>{y}yr</p><p style={{ fontSize: 15, margin: '4px 0' }}>{fmt(projectionData[y].expected)}</p><p style={s.small}>{fmt(projectionData[y].conservative)}–{fmt(projectionData[y].optimistic)}</p></div>)}
           </div>
+          {exitOutside && <p style={{ ...s.small, color: '#ef4444', marginTop: 12 }}>The equity exit in year {num(form.exitYear)} falls outside this projection and isn't included.</p>}
+        </div>
+
+        <div style={{ ...s.card, marginTop: 12 }}>
+          <p style={{ ...s.label, marginBottom: 16 }}>Financial independence</p>
+          {retirement ? (
+            <>
+              <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 16 }}>
+                <div><p style={s.small}>FI number</p><p style={{ fontSize: 15, margin: '4px 0' }}>{fmt(retirement.fiNumber)}</p><p style={s.small}>{fmt(fiSpending)}/yr at {num(form.withdrawalRate)}%</p></div>
+                <div style={{ textAlign: 'center' }}><p style={s.small}>At average returns</p><p style={{ fontSize: 15, margin: '4px 0' }}>{retirement.expectedAge !== null ? `Age ${retirement.expectedAge}` : 'Not by 90'}</p></div>
+                <div style={{ textAlign: 'right' }}><p style={s.small}>Even odds by</p><p style={{ fontSize: 15, margin: '4px 0' }}>{retirement.medianAge !== null ? `Age ${retirement.medianAge}` : 'Not by 90'}</p></div>
+              </div>
+              <p style={{ ...s.small, marginBottom: 8 }}>Chance of being independent by each age</p>
+              <div style={{ height: 120 }}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={retirement.timeline}>
+                    <XAxis dataKey="age" tick={{ fontSize: 11, fill: '#999' }} tickLine={false} axisLine={false} />
+                    <YAxis domain={[0, 1]} tick={{ fontSize: 11, fill: '#999' }} tickLine={false} axisLine={false} tickFormatter={v => `${Math.round(v * 100)}%`} width={50} />
+                    <Tooltip formatter={v => `${Math.round(v * 100)}%`} labelFormatter={v => `Age ${v}`} />
+                    <Line type="monotone" dataKey="success" stroke="#1a1a1a" strokeWidth={2} dot={false} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+              <p style={{ ...s.small, marginTop: 16, marginBottom: 8 }}>Portfolio and super, 10th–90th percentile, in today's dollars</p>
+              <div style={{ height: 160 }}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <AreaChart data={fan}>
+                    <XAxis dataKey="age" tick={{ fontSize: 11, fill: '#999' }} tickLine={false} axisLine={false} />
+                    <YAxis tick={{ fontSize: 11, fill: '#999' }} tickLine={false} axisLine={false} tickFormatter={fmtAxis} width={50} />
+                    <Tooltip formatter={v => Array.isArray(v) ? `${fmt(v[0])}–${fmt(v[1])}` : fmt(v)} labelFormatter={v => `Age ${v}`} />
+                    <Area type="monotone" dataKey="outer" stroke="none" fill="#eee" fillOpacity={1} />
+                    <Area type="monotone" dataKey="inner" stroke="none" fill="#ddd" fillOpacity={1} />
+                    <Area type="monotone" dataKey="p50" stroke="#1a1a1a" strokeWidth={2} fill="none" />
+                  </AreaChart>
+                </ResponsiveContainer>
+              </div>
+              <p style={{ ...s.small, marginTop: 12 }}>{num(form.fiReturn)}% average return, {num(form.fiVolatility)}% volatility, 1,000 runs. Super counts toward the target but only funds spending from age {num(form.preservationAge)}.</p>
+            </>
+          ) : (
+            <p style={{ color: '#999', fontSize: 14, fontStyle: 'italic' }}>Add your age and a withdrawal rate to estimate when work becomes optional.</p>
+          )}
         </div>
         
-        <div style={{ display: 'grid', gridTemplateColumns: form.hasEquity ? '1fr 1fr' : '1fr', gap: 12, marginTop: 12 }}>
-          <div style={s.card}>
-            <p style={{ ...s.label, marginBottom: 12 }}>Assets</p>
-            {[['ETFs', form.etfs],['Crypto', form.crypto],['Super', form.super],['Property', form.property],['Other', form.other_assets]].filter(([,v]) => num(v) > 0).map(([l,v]) => (
-              <div key={l} style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 6, fontSize: 15 }}><span style={{ color: '#666' }}>{l}</span><span>{fmt(num(v))}</span></div>
+        {totalDebt > 0 && (
+          <div style={{ ...s.card, marginTop: 12 }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
+              <p style={{ ...s.label, marginBottom: 0 }}>Liabilities</p>
+              <select style={{ ...s.input, width: 'auto', padding: '4px 0', fontSize: 12, borderBottom: 'none', color: '#999' }} value={form.debtStrategy} onChange={(e) => updateField('debtStrategy', e.target.value)}>
+                {strategies.map(([k, l]) => <option key={k} value={k}>{l}</option>)}
+              </select>
+            </div>
+            {form.debts.filter(d => num(d.balance) > 0).map(d => (
+              <div key={d.id} style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 6, fontSize: 15 }}>
+                <span style={{ color: '#666' }}>{d.name || debtTypes.find(([t]) => t === d.type)[1]} <span style={s.small}>{num(d.rate)}%{payoff.payoffs[d.id] && ` · clear in ${payoff.payoffs[d.id]} mo`}</span></span>
+                <span>{fmt(num(d.balance))}</span>
+              </div>
             ))}
-            <div style={{ display: 'flex', justifyContent: 'space-between', paddingTop: 8, marginTop: 8, borderTop: '1px solid #eee', fontWeight: 500, fontSize: 15 }}><span>Total</span><span>{fmt(liquid + illiquid)}</span></div>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 12 }}>
+              <span style={s.small}>Extra each month</span>
+              <span style={{ color: '#999', fontSize: 13 }}>{symbol}</span>
+              <input style={{ ...s.input, width: 80, fontSize: 14, padding: '4px 0' }} type="text" inputMode="numeric" value={form.debtExtra} onChange={(e) => updateField('debtExtra', e.target.value)} placeholder="0" />
+            </div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: 16, paddingTop: 16, borderTop: '1px solid #eee' }}>
+              <div><p style={s.small}>Debt-free</p><p style={{ fontSize: 15, margin: '4px 0' }}>{debtFreeDate ? debtFreeDate.toLocaleDateString(undefined, { month: 'short', year: 'numeric' }) : 'Never at this rate'}</p></div>
+              <div style={{ textAlign: 'right' }}><p style={s.small}>Total interest</p><p style={{ fontSize: 15, margin: '4px 0' }}>{payoff.feasible ? fmt(payoff.totalInterest) : '—'}</p></div>
+            </div>
+            {payoff.feasible && altPayoff.feasible && Math.round(altPayoff.totalInterest) !== Math.round(payoff.totalInterest) && (
+              <p style={{ ...s.small, marginTop: 8 }}>{strategies.find(([k]) => k === altStrategy)[1]}: {altPayoff.months} months, {fmt(altPayoff.totalInterest)} interest.</p>
+            )}
           </div>
-          {form.hasEquity && (
-            <div style={s.card}>
-              <p style={{ ...s.label, marginBottom: 12 }}>Equity</p>
-              <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 6, fontSize: 15 }}><span style={{ color: '#666' }}>Total value</span><span>{fmt(equityValue)}</span></div>
-              <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 12, fontSize: 15 }}><span style={{ color: '#666' }}>Vested ({form.vestedMonths || 0}/{form.vestingMonths})</span><span>{fmt(vestedValue)}</span></div>
-              <div style={{ background: '#e5e5e5', height: 4, borderRadius: 2 }}>
-                <div style={{ background: '#1a1a1a', height: '100%', width: `${(num(form.vestedMonths) / num(form.vestingMonths)) * 100}%`, borderRadius: 2 }} />
+        )}
+
+        {history.length > 1 && (
+          <div style={{ ...s.card, marginTop: 12 }}>
+            <p style={{ ...s.label, marginBottom: 16 }}>History</p>
+            <div style={{ height: 180 }}>
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={history}>
+                  <XAxis dataKey="date" tick={{ fontSize: 11, fill: '#999' }} tickLine={false} axisLine={false} />
+                  <YAxis yAxisId="worth" tick={{ fontSize: 11, fill: '#999' }} tickLine={false} axisLine={false} tickFormatter={fmtAxis} width={50} />
+                  <YAxis yAxisId="rate" orientation="right" tick={{ fontSize: 11, fill: '#999' }} tickLine={false} axisLine={false} tickFormatter={v => `${Math.round(v)}%`} width={40} />
+                  <Tooltip formatter={(v, name) => name === 'rate' ? pct(v) : fmt(v)} />
+                  <Line yAxisId="worth" type="monotone" dataKey="netWorth" stroke="#1a1a1a" strokeWidth={2} dot={false} />
+                  <Line yAxisId="rate" type="monotone" dataKey="rate" stroke="#999" strokeWidth={1} strokeDasharray="4 4" dot={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 16, paddingTop: 16, borderTop: '1px solid #eee' }}>
+              <span style={s.small}>Compare</span>
+              <select style={{ ...s.input, width: 'auto', fontSize: 13, padding: '4px 0' }} value={compareFrom.date} onChange={(e) => setCompare(c => ({ ...c, from: e.target.value }))}>
+                {history.map(h => <option key={h.date}>{h.date}</option>)}
+              </select>
+              <span style={s.small}>to</span>
+              <select style={{ ...s.input, width: 'auto', fontSize: 13, padding: '4px 0' }} value={compareTo.date} onChange={(e) => setCompare(c => ({ ...c, to: e.target.value }))}>
+                {history.map(h => <option key={h.date}>{h.date}</option>)}
+              </select>
+            </div>
+            {compareSnapshots(compareFrom, compareTo).filter(r => r.from || r.to).map(r => (
+              <div key={r.key} style={{ display: 'grid', gridTemplateColumns: '1.2fr 1fr 1fr 1fr', gap: 8, fontSize: 14, marginTop: 6 }}>
+                <span style={{ color: '#666' }}>{r.label}</span>
+                <span style={{ textAlign: 'right', color: '#999' }}>{r.key === 'rate' ? pct(r.from) : fmt(r.from)}</span>
+                <span style={{ textAlign: 'right' }}>{r.key === 'rate' ? pct(r.to) : fmt(r.to)}</span>
+                <span style={{ textAlign: 'right', color: r.delta >= 0 === !['credit', 'debt'].includes(r.key) ? '#22c55e' : '#ef4444' }}>{r.delta >= 0 ? '+' : '−'}{r.key === 'rate' ? pct(Math.abs(r.delta)) : fmt(Math.abs(r.delta))}</span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div style={{ ...s.card, marginTop: 12 }}>
+          <p style={{ ...s.label, marginBottom: 12 }}>Assets</p>
+          {holdingClasses.filter(([cls]) => totals[cls] > 0).map(([cls,,l]) => (
+            <div key={cls}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 6, fontSize: 15, cursor: 'pointer' }} onClick={() => setExpanded(expanded === cls ? null : cls)}>
+                <span style={{ color: '#666' }}>{expanded === cls ? '▾' : '▸'} {l} <span style={s.small}>{pct(allocations[cls])}</span></span><span>{fmt(totals[cls])}</span>
               </div>
-              {num(form.companyVal) > 0 && <p style={{ ...s.small, marginTop: 12 }}>Valuation: {fmt(num(form.companyVal))}</p>}
+              {expanded === cls && form.holdings.filter(h => h.cls === cls).map(h => {
+                const value = toBase(holdingValue(h), h.currency), cost = toBase(num(h.costBasis), h.currency);
+                return (
+                  <div key={h.id} style={{ display: 'flex', justifyContent: 'space-between', margin: '0 0 6px 14px', fontSize: 13 }}>
+                    <span style={{ color: '#666' }}>{h.name || 'Unnamed'}{h.account && <span style={s.small}> · {h.account}</span>}{num(h.units) > 0 && <span style={s.small}> · {h.units} units</span>}</span>
+                    <span>{fmt(value)}{cost > 0 && <span style={{ ...s.small, color: value >= cost ? '#22c55e' : '#ef4444' }}> {value >= cost ? '+' : '−'}{pct(Math.abs(value - cost) / cost * 100)}</span>}</span>
+                  </div>
+                );
+              })}
             </div>
-          )}
+          ))}
+          <div style={{ display: 'flex', justifyContent: 'space-between', paddingTop: 8, marginTop: 8, borderTop: '1px solid #eee', fontWeight: 500, fontSize: 15 }}><span>Total</span><span>{fmt(Object.values(totals).reduce((a, v) => a + v, 0))}</span></div>
         </div>
-        
+
+        {grants.length > 0 && (
+          <div style={{ ...s.card, marginTop: 12 }}>
+            <p style={{ ...s.label, marginBottom: 12 }}>Equity</p>
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 6, fontSize: 15 }}><span style={{ color: '#666' }}>Total value</span><span>{fmt(equity.totalValue)}</span></div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 12, fontSize: 15 }}><span style={{ color: '#666' }}>Vested ({Math.round(equity.vestedShares).toLocaleString()}/{equity.shares.toLocaleString()} shares)</span><span>{fmt(equity.vestedValue)}</span></div>
+            <div style={{ background: '#e5e5e5', height: 4, borderRadius: 2 }}>
+              <div style={{ background: '#1a1a1a', height: '100%', width: `${equity.shares ? equity.vestedShares / equity.shares * 100 : 0}%`, borderRadius: 2 }} />
+            </div>
+            {equity.exerciseCost > 0 && <p style={{ ...s.small, marginTop: 12 }}>Exercising vested options costs {fmt(equity.exerciseCost)}, plus about {fmt(equity.exerciseSpread * equityOptions.taxRate)} tax on the spread at 409A.</p>}
+            {num(form.companyVal) > 0 && <p style={{ ...s.small, marginTop: 12 }}>Valuation: {fmt(num(form.companyVal))}</p>}
+
+            {nextVests.length > 0 && (
+              <div style={{ marginTop: 16, paddingTop: 16, borderTop: '1px solid #eee' }}>
+                <p style={{ ...s.small, marginBottom: 8 }}>Next vests</p>
+                {nextVests.map(v => (
+                  <div key={v.date} style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 4, fontSize: 14 }}>
+                    <span style={{ color: '#666' }}>{new Date(v.date + 'T00:00').toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' })} <span style={s.small}>+{Math.round(v.shares).toLocaleString()} shares</span></span>
+                    <span>{fmt(v.value)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div style={{ marginTop: 16, paddingTop: 16, borderTop: '1px solid #eee' }}>
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1.2fr 1fr 1fr', gap: 8, fontSize: 12, color: '#999', marginBottom: 8 }}>
+                <span>Exit</span><span style={{ textAlign: 'right' }}>Valuation</span><span style={{ textAlign: 'right' }}>Vested, net</span><span style={{ textAlign: 'right' }}>All, net</span>
+              </div>
+              {exits.map((x, i) => (
+                <div key={x.multiple} style={{ display: 'grid', gridTemplateColumns: '1fr 1.2fr 1fr 1fr', gap: 8, fontSize: 14, marginBottom: 4 }}>
+                  <span style={{ color: '#666' }}>{x.multiple}×</span>
+                  <span style={{ textAlign: 'right', color: '#999' }}>{num(form.companyVal) > 0 ? fmt(num(form.companyVal) * x.multiple) : '—'}</span>
+                  <span style={{ textAlign: 'right' }}>{fmt(vestedExits[i].net)}</span>
+                  <span style={{ textAlign: 'right' }}>{fmt(x.net)}</span>
+                </div>
+              ))}
+              <p style={{ ...s.small, marginTop: 8 }}>After {num(form.dilution)}% dilution, exercise cost and {num(form.equityTaxRate)}% tax.</p>
+            </div>
+          </div>
+        )}
+
         <div style={{ ...s.card, marginTop: 12 }}>
           <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
             <p style={s.label}>Claude's take</p>
@@ -412,10 +1610,16 @@ ONLY valid JSON: {"headline":"...","insights":[...],"oneMove":"..."}` }]
               {loading ? 'Thinking...' : 'Analyze'}
             </button>
           </div>
-          {analysis ? (
+          {analysisError && (
+            <div style={{ borderLeft: '2px solid #ef4444', paddingLeft: 12, marginBottom: 20 }}>
+              <p style={{ margin: 0, fontSize: 14, fontWeight: 500 }}>{analysisErrors[analysisError.kind][0]}</p>
+              <p style={{ margin: '4px 0 0', color: '#666', fontSize: 14, lineHeight: 1.5 }}>{analysisErrors[analysisError.kind][1](analysisError)}</p>
+            </div>
+          )}
+          {shown ? (
             <>
-              {analysis.headline && <p style={{ fontSize: 18, fontStyle: 'italic', marginBottom: 20, paddingBottom: 16, borderBottom: '1px solid #eee' }}>{analysis.headline}</p>}
-              {analysis.insights?.map((ins, i) => (
+              {shown.headline && <p style={{ fontSize: 18, fontStyle: 'italic', marginBottom: 20, paddingBottom: 16, borderBottom: '1px solid #eee' }}>{shown.headline}</p>}
+              {shown.insights?.map((ins, i) => (
                 <div key={i} style={{ marginBottom: 16 }}>
                   <p style={{ margin: 0, fontSize: 14, fontWeight: 500, display: 'flex', alignItems: 'center', gap: 8 }}>
                     <span style={{ width: 6, height: 6, borderRadius: '50%', background: ins.type === 'celebrate' ? '#22c55e' : ins.type === 'warning' ? '#ef4444' : '#3b82f6' }} />
@@ -426,14 +1630,46 @@ ONLY valid JSON: {"headline":"...","insights":[...],"oneMove":"..."}` }]
               ))}
               <div style={{ background: '#f5f5f5', padding: 16, borderRadius: 8, marginTop: 16 }}>
                 <p style={{ ...s.small, marginBottom: 4 }}>Your one move</p>
-                <p style={{ margin: 0, fontSize: 15 }}>{analysis.oneMove}</p>
+                <p style={{ margin: 0, fontSize: 15 }}>{shown.oneMove || '…'}</p>
               </div>
             </>
           ) : (
-            <p style={{ color: '#999', fontSize: 14, fontStyle: 'italic' }}>Hit analyze for Claude's interpretation.</p>
+            !analysisError && <p style={{ color: '#999', fontSize: 14, fontStyle: 'italic' }}>Hit analyze for Claude's interpretation.</p>
           )}
         </div>
         
+        <div style={{ ...s.card, marginTop: 12 }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
+            <p style={{ ...s.label, marginBottom: 0 }}>Ask about your numbers</p>
+            {chat.length > 0 && <span style={s.link} onClick={() => { setChat([]); setChatError(null); }}>clear</span>}
+          </div>
+          {chat.map((m, turn) => (
+            <div key={turn} style={{ marginBottom: 12, textAlign: m.role === 'user' ? 'right' : 'left' }}>
+              <p style={{ display: 'inline-block', margin: 0, maxWidth: '85%', textAlign: 'left', whiteSpace: 'pre-wrap', fontSize: 14, lineHeight: 1.5, padding: m.role === 'user' ? '8px 12px' : 0, background: m.role === 'user' ? '#eee' : 'transparent', borderRadius: 12, color: m.role === 'user' ? '#1a1a1a' : '#333' }}>{m.content}</p>
+              {m.actions?.map((a, i) => (
+                <div key={i} style={{ background: '#fff', border: '1px solid #eee', borderRadius: 8, padding: 12, marginTop: 8, fontSize: 14, opacity: a.status === 'pending' ? 1 : 0.5 }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', gap: 12 }}>
+                    <span><span style={{ color: '#666' }}>{ACTION_FIELDS.find(([k]) => k === a.field)[1]}</span> {form[a.field] || '0'} → <strong style={{ fontWeight: 500 }}>{actionValue(a)}</strong></span>
+                    {a.status === 'pending' ? (
+                      <span style={{ display: 'flex', gap: 12 }}>
+                        <span style={{ ...s.link, color: '#1a1a1a' }} onClick={() => resolveAction(turn, i, true)}>apply</span>
+                        <span style={s.link} onClick={() => resolveAction(turn, i, false)}>dismiss</span>
+                      </span>
+                    ) : <span style={s.small}>{a.status}</span>}
+                  </div>
+                  {a.reason && <p style={{ ...s.small, margin: '4px 0 0' }}>{a.reason}</p>}
+                </div>
+              ))}
+            </div>
+          ))}
+          {chatBusy && <p style={{ margin: '0 0 12px', whiteSpace: 'pre-wrap', fontSize: 14, lineHeight: 1.5, color: '#999' }}>{chatStream.split('```actions')[0] || 'Thinking...'}</p>}
+          {chatError && <p style={{ ...s.small, color: '#ef4444', marginBottom: 12 }}>{analysisErrors[chatError.kind][0]}. {analysisErrors[chatError.kind][1](chatError)}</p>}
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+            <input style={{ ...s.input, fontSize: 15 }} type="text" value={chatInput} onChange={(e) => setChatInput(e.target.value)} onKeyDown={(e) => e.key === 'Enter' && sendChat()} placeholder="What if I put an extra $500 toward the card?" />
+            <button onClick={sendChat} disabled={chatBusy || !chatInput.trim()} style={{ background: '#fff', border: '1px solid #ddd', padding: '8px 16px', fontSize: 13, borderRadius: 999, cursor: chatBusy ? 'wait' : 'pointer', fontFamily: 'Georgia, serif' }}>Send</button>
+          </div>
+        </div>
+
         <p style={{ ...s.small, marginTop: 40, position: 'fixed', bottom: 24, left: 0, right: 0, textAlign: 'center' }}>
           Your data stays on your device.
         </p>
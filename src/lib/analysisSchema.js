@@ -0,0 +1,80 @@
+// The headline/insights/oneMove contract for Claude's take. Shared by the
+// client, which validates and repairs replies, and the API, which builds the
+// prompt and re-ask from the same constants.
+
+export const INSIGHT_TYPES = ['celebrate', 'warning', 'opportunity'];
+export const INSIGHT_COUNT = 3;
+
+const string = (maxLength) => ({ type: 'string', minLength: 1, maxLength });
+
+export const analysisSchema = {
+  type: 'object',
+  required: ['headline', 'insights', 'oneMove'],
+  properties: {
+    headline: string(80),
+    insights: {
+      type: 'array', minItems: INSIGHT_COUNT, maxItems: INSIGHT_COUNT,
+      items: {
+        type: 'object',
+        required: ['title', 'body', 'type'],
+        properties: { title: string(60), body: string(400), type: { type: 'string', enum: INSIGHT_TYPES } },
+      },
+    },
+    oneMove: string(300),
+  },
+};
+
+// Just enough JSON Schema for the contract above.
+export function validate(value, schema = analysisSchema, path = 'analysis') {
+  const errors = [];
+  const kind = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+  if (kind !== schema.type) return [`${path} should be ${schema.type}, got ${kind}`];
+  if (schema.type === 'string') {
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${path} should be one of ${schema.enum.join('/')}`);
+    if (value.trim().length < (schema.minLength || 0)) errors.push(`${path} is empty`);
+    if (schema.maxLength && value.length > schema.maxLength) errors.push(`${path} is longer than ${schema.maxLength} characters`);
+  }
+  if (schema.type === 'array') {
+    if (value.length < schema.minItems || value.length > schema.maxItems) {
+      errors.push(`${path} should have ${schema.minItems === schema.maxItems ? `exactly ${schema.minItems}` : `${schema.minItems}-${schema.maxItems}`} items, got ${value.length}`);
+    }
+    value.forEach((item, i) => errors.push(...validate(item, schema.items, `${path}[${i}]`)));
+  }
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) if (value[key] === undefined) errors.push(`${path}.${key} is missing`);
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validate(value[key], sub, `${path}.${key}`));
+    }
+  }
+  return errors;
+}
+
+// Pulls the outermost JSON object out of surrounding prose or code fences.
+export function extractJson(text) {
+  const start = text.indexOf('{'), end = text.lastIndexOf('}');
+  if (start < 0 || end <= start) return undefined;
+  try { return JSON.parse(text.slice(start, end + 1)); } catch { return undefined; }
+}
+
+// Fixes the near-misses Claude tends to produce: stray whitespace, odd
+// casing on `type`, one insight too many, a single insight not in an array.
+export function repairAnalysis(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+  const trim = (v) => typeof v === 'string' ? v.trim() : v;
+  const insights = Array.isArray(value.insights) ? value.insights : value.insights ? [value.insights] : value.insights;
+  return {
+    headline: trim(value.headline),
+    insights: Array.isArray(insights) ? insights.slice(0, INSIGHT_COUNT).map(ins => ins && typeof ins === 'object' ? {
+      title: trim(ins.title), body: trim(ins.body), type: typeof ins.type === 'string' ? ins.type.trim().toLowerCase() : ins.type,
+    } : ins) : insights,
+    oneMove: trim(value.oneMove ?? value.one_move),
+  };
+}
+
+export function parseAnalysis(text) {
+  const raw = extractJson(text);
+  if (raw === undefined) return { errors: ['reply contained no JSON object'] };
+  const value = repairAnalysis(raw);
+  const errors = validate(value);
+  return errors.length ? { errors } : { value };
+}
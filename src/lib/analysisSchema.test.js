@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validate, extractJson, parseAnalysis } from './analysisSchema.js';
+
+const insight = (type = 'warning') => ({ title: 'Cash is thin', body: 'One sentence.', type });
+const reply = { headline: 'Steady but exposed', insights: [insight(), insight('celebrate'), insight('opportunity')], oneMove: 'Build the buffer.' };
+
+test('a well-formed reply validates', () => {
+  assert.deepEqual(validate(reply), []);
+});
+
+test('validate reports each problem with its path', () => {
+  const errors = validate({ ...reply, headline: '', insights: [insight('meh')] });
+  assert.ok(errors.includes('analysis.headline is empty'));
+  assert.ok(errors.some(e => e.startsWith('analysis.insights should have exactly 3')));
+  assert.ok(errors.includes('analysis.insights[0].type should be one of celebrate/warning/opportunity'));
+});
+
+test('extractJson finds the object inside prose and fences', () => {
+  assert.deepEqual(extractJson('Sure!\n```json\n{"a":1}\n```'), { a: 1 });
+  assert.equal(extractJson('no json here'), undefined);
+});
+
+test('parseAnalysis repairs near misses', () => {
+  const loose = { ...reply, headline: ' Steady ', insights: [...reply.insights, insight()].map(i => ({ ...i, type: i.type.toUpperCase() })), one_move: reply.oneMove };
+  delete loose.oneMove;
+  const { value, errors } = parseAnalysis(JSON.stringify(loose));
+  assert.equal(errors, undefined);
+  assert.equal(value.headline, 'Steady');
+  assert.equal(value.insights.length, 3);
+  assert.equal(value.insights[0].type, 'warning');
+});
+
+test('parseAnalysis reports what it could not fix', () => {
+  assert.deepEqual(parseAnalysis('nothing').errors, ['reply contained no JSON object']);
+  assert.ok(parseAnalysis('{"headline":"x"}').errors.length > 0);
+});
@@ -0,0 +1,45 @@
+// Client side of /api/analyze streaming: collects text deltas from the SSE
+// stream and pulls whatever fields are complete enough to show early.
+
+const decode = (s) => {
+  try { return JSON.parse(`"${s}"`); } catch { return s.replace(/\\+$/, '').replace(/\\(.)/g, '$1'); }
+};
+
+export async function readEventStream(response, onText) {
+  if (!(response.headers.get('content-type') || '').includes('text/event-stream')) {
+    const d = await response.json();
+    return d.content?.map(i => i.text).join('') || '';
+  }
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '', text = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value.replace(/\r\n/g, '\n');
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+    for (const event of events) {
+      const data = event.split('\n').filter(l => l.startsWith('data:')).map(l => l.slice(5).trim()).join('');
+      if (!data) continue;
+      const msg = JSON.parse(data);
+      if (msg.type === 'error') throw new Error(msg.error?.message || 'Stream error');
+      if (msg.type === 'content_block_delta' && msg.delta?.text) {
+        text += msg.delta.text;
+        onText?.(text);
+      }
+    }
+  }
+  return text;
+}
+
+export function partialAnalysis(text) {
+  const field = (key) => {
+    const m = text.match(new RegExp(`"${key}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)`));
+    return m ? decode(m[1]) : undefined;
+  };
+  const start = text.indexOf('"insights"');
+  const insights = start < 0 ? [] : (text.slice(start).match(/\{[^{}]*\}/g) || []).flatMap(o => {
+    try { return [JSON.parse(o)]; } catch { return []; }
+  });
+  return { headline: field('headline'), insights, oneMove: field('oneMove') };
+}
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readEventStream, partialAnalysis } from './analysisStream.js';
+
+const delta = (text) => `event: content_block_delta\ndata: ${JSON.stringify({ type: 'content_block_delta', delta: { type: 'text_delta', text } })}\n\n`;
+
+// A response whose body arrives in the given chunks.
+const sse = (...chunks) => new Response(new ReadableStream({
+  start(controller) {
+    for (const c of chunks) controller.enqueue(new TextEncoder().encode(c));
+    controller.close();
+  },
+}), { headers: { 'Content-Type': 'text/event-stream' } });
+
+test('readEventStream joins text deltas and reports progress', async () => {
+  const seen = [];
+  const text = await readEventStream(sse(delta('{"head'), delta('line":"Hi"}'), 'event: message_stop\ndata: {"type":"message_stop"}\n\n'), t => seen.push(t));
+  assert.equal(text, '{"headline":"Hi"}');
+  assert.deepEqual(seen, ['{"head', '{"headline":"Hi"}']);
+});
+
+test('readEventStream copes with events split across chunks and CRLF', async () => {
+  const whole = delta('one ') + delta('two').replace(/\n/g, '\r\n');
+  const text = await readEventStream(sse(whole.slice(0, 30), whole.slice(30, 90), whole.slice(90)));
+  assert.equal(text, 'one two');
+});
+
+test('readEventStream throws on a stream error event', async () => {
+  const error = `event: error\ndata: ${JSON.stringify({ type: 'error', error: { message: 'Overloaded' } })}\n\n`;
+  await assert.rejects(readEventStream(sse(delta('partial'), error)), /Overloaded/);
+});
+
+test('readEventStream reads a plain JSON reply', async () => {
+  const res = Response.json({ content: [{ type: 'text', text: 'a' }, { type: 'text', text: 'b' }] });
+  assert.equal(await readEventStream(res), 'ab');
+});
+
+test('partialAnalysis shows complete fields of an unfinished reply', () => {
+  const text = '{"headline":"Steady \\"but\\" exposed","insights":[{"title":"Cash","body":"Thin.","type":"warning"},{"title":"Deb';
+  assert.deepEqual(partialAnalysis(text), {
+    headline: 'Steady "but" exposed',
+    insights: [{ title: 'Cash', body: 'Thin.', type: 'warning' }],
+    oneMove: undefined,
+  });
+});
+
+test('partialAnalysis keeps a headline cut off mid-escape', () => {
+  assert.equal(partialAnalysis('{"headline":"Half way\\').headline, 'Half way');
+  assert.deepEqual(partialAnalysis(''), { headline: undefined, insights: [], oneMove: undefined });
+});
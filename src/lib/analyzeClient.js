@@ -0,0 +1,59 @@
+// Requests Claude's take and chat replies, turning every failure into one of
+// a few kinds the dashboard can explain: network, rate_limit, upstream,
+// unparseable.
+
+import { readEventStream } from './analysisStream.js';
+import { parseAnalysis } from './analysisSchema.js';
+
+export class AnalysisError extends Error {
+  constructor(kind, message, { status, retryAfter } = {}) {
+    super(message);
+    this.name = 'AnalysisError';
+    this.kind = kind;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+async function post(url, body) {
+  let res;
+  try {
+    res = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  } catch {
+    throw new AnalysisError('network', 'Could not reach the server.');
+  }
+  if (res.ok) return res;
+  const data = await res.json().catch(() => ({}));
+  const message = data.error?.message || (typeof data.error === 'string' ? data.error : '') || res.statusText;
+  if (res.status === 429) {
+    throw new AnalysisError('rate_limit', message, { status: 429, retryAfter: Number(res.headers.get('Retry-After')) || data.retryAfter });
+  }
+  throw new AnalysisError('upstream', message, { status: res.status });
+}
+
+async function readText(res, onText) {
+  try {
+    return await readEventStream(res, onText);
+  } catch (e) {
+    throw e instanceof TypeError
+      ? new AnalysisError('network', 'The connection dropped mid-reply.')
+      : new AnalysisError('upstream', e.message);
+  }
+}
+
+// Streams the first attempt; if the reply doesn't match the schema even
+// after local repair, re-asks once with the validation errors attached.
+export async function requestAnalysis(summary, { onText } = {}) {
+  const text = await readText(await post('/api/analyze', { summary, stream: true }), onText);
+  const first = parseAnalysis(text);
+  if (first.value) return first.value;
+
+  const retry = await readText(await post('/api/analyze', { summary, repair: { previous: text.slice(0, 8000), errors: first.errors.slice(0, 10) } }));
+  const second = parseAnalysis(retry);
+  if (second.value) return second.value;
+  throw new AnalysisError('unparseable', second.errors.join('; '));
+}
+
+export async function requestChatReply(summary, messages, { onText } = {}) {
+  return readText(await post('/api/chat', { summary, messages: messages.map(m => ({ role: m.role, content: m.content.slice(0, 4000) })), stream: true }), onText);
+}
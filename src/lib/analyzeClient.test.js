@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AnalysisError, requestAnalysis, requestChatReply } from './analyzeClient.js';
+
+const analysis = {
+  headline: 'Steady but exposed',
+  insights: ['warning', 'celebrate', 'opportunity'].map(type => ({ title: 'Cash is thin', body: 'One sentence.', type })),
+  oneMove: 'Build the buffer.',
+};
+
+const sse = (text) => new Response(`data: ${JSON.stringify({ type: 'content_block_delta', delta: { text } })}\n\n`, {
+  headers: { 'Content-Type': 'text/event-stream' },
+});
+const reply = (text) => Response.json({ content: [{ type: 'text', text }] });
+
+// Stubs fetch with one response per call and records the request bodies.
+function stubFetch(t, ...responses) {
+  const bodies = [];
+  t.mock.method(globalThis, 'fetch', async (url, init) => {
+    bodies.push({ url, ...JSON.parse(init.body) });
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    return next;
+  });
+  return bodies;
+}
+
+const rejectsWith = (promise, kind, extra = {}) => assert.rejects(promise, (e) => {
+  assert.ok(e instanceof AnalysisError);
+  assert.equal(e.kind, kind);
+  for (const [k, v] of Object.entries(extra)) assert.equal(e[k], v);
+  return true;
+});
+
+test('requestAnalysis streams and parses a valid reply', async (t) => {
+  const bodies = stubFetch(t, sse(JSON.stringify(analysis)));
+  const seen = [];
+  assert.deepEqual(await requestAnalysis({ name: 'Sam' }, { onText: (text) => seen.push(text) }), analysis);
+  assert.deepEqual(bodies, [{ url: '/api/analyze', summary: { name: 'Sam' }, stream: true }]);
+  assert.equal(seen.length, 1);
+});
+
+test('requestAnalysis re-asks once with the validation errors', async (t) => {
+  const bodies = stubFetch(t, sse('{"headline":"Half"}'), reply(JSON.stringify(analysis)));
+  assert.deepEqual(await requestAnalysis({}), analysis);
+  assert.equal(bodies.length, 2);
+  assert.equal(bodies[1].repair.previous, '{"headline":"Half"}');
+  assert.ok(bodies[1].repair.errors.length > 0);
+  assert.equal(bodies[1].stream, undefined);
+});
+
+test('a second bad reply is unparseable', async (t) => {
+  stubFetch(t, sse('not json'), reply('still not json'));
+  await rejectsWith(requestAnalysis({}), 'unparseable');
+});
+
+test('an unreachable server is a network error', async (t) => {
+  stubFetch(t, new TypeError('fetch failed'));
+  await rejectsWith(requestAnalysis({}), 'network');
+});
+
+test('429 carries the retry delay from the header or the body', async (t) => {
+  stubFetch(t,
+    Response.json({ error: 'Too many requests' }, { status: 429, headers: { 'Retry-After': '30' } }),
+    Response.json({ error: 'Too many requests', retryAfter: 12 }, { status: 429 }),
+  );
+  await rejectsWith(requestAnalysis({}), 'rate_limit', { status: 429, retryAfter: 30, message: 'Too many requests' });
+  await rejectsWith(requestAnalysis({}), 'rate_limit', { retryAfter: 12 });
+});
+
+test('other failures are upstream errors with the server message', async (t) => {
+  stubFetch(t,
+    Response.json({ error: { type: 'overloaded_error', message: 'Overloaded' } }, { status: 529 }),
+    new Response('Bad gateway', { status: 502, statusText: 'Bad Gateway' }),
+  );
+  await rejectsWith(requestAnalysis({}), 'upstream', { status: 529, message: 'Overloaded' });
+  await rejectsWith(requestAnalysis({}), 'upstream', { status: 502, message: 'Bad Gateway' });
+});
+
+test('an error event mid-stream is an upstream error', async (t) => {
+  stubFetch(t, new Response(`data: ${JSON.stringify({ type: 'error', error: { message: 'Overloaded' } })}\n\n`, {
+    headers: { 'Content-Type': 'text/event-stream' },
+  }));
+  await rejectsWith(requestAnalysis({}), 'upstream', { message: 'Overloaded' });
+});
+
+test('requestChatReply sends trimmed turns and returns the text', async (t) => {
+  const bodies = stubFetch(t, sse('Keep going.'));
+  const long = 'x'.repeat(5000);
+  assert.equal(await requestChatReply({ name: 'Sam' }, [{ role: 'user', content: long, actions: [] }]), 'Keep going.');
+  assert.equal(bodies[0].url, '/api/chat');
+  assert.deepEqual(bodies[0].messages, [{ role: 'user', content: long.slice(0, 4000) }]);
+});
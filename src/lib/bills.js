@@ -0,0 +1,67 @@
+// Recurring bills and a day-by-day forecast of cash and card balances.
+// Paydays sweep money exactly as the pay-cycle plan does; bills land on
+// their due dates; the rest of monthly spending goes on the card evenly.
+
+import { uid } from './holdings.js';
+import { parseDate, isoDate, addCycle, upcomingPaydays, cyclesPerYear, sweep } from './payCycle.js';
+import { num } from './num.js';
+
+export const billCadences = [['weekly', 'Weekly', 52], ['fortnightly', 'Fortnightly', 26], ['monthly', 'Monthly', 12], ['quarterly', 'Quarterly', 4], ['annual', 'Annually', 1]];
+export const billAccounts = [['card', 'Card'], ['cash', 'Cash']];
+
+export const newBill = () => ({ id: uid(), name: '', amount: '', cadence: 'monthly', due: '', from: 'card' });
+
+const perYear = (cadence) => billCadences.find(([k]) => k === cadence)?.[2] || 12;
+
+export const monthlyBills = (bills) => bills.reduce((a, b) => a + num(b.amount) * perYear(b.cadence) / 12, 0);
+
+const nthDue = (first, cadence, n) =>
+  cadence === 'quarterly' ? addCycle(first, 'monthly', 3 * n)
+    : cadence === 'annual' ? addCycle(first, 'monthly', 12 * n)
+    : addCycle(first, cadence, n);
+
+// Due dates in [from, to], stepping from the bill's first due date.
+export function billDates(bill, from, to) {
+  const first = parseDate(bill.due);
+  if (!first) return [];
+  const dates = [];
+  for (let n = 0, d = first; d <= to; d = nthDue(first, bill.cadence, ++n)) if (d >= from) dates.push(d);
+  return dates;
+}
+
+// Bills are part of monthly expenses, so only what's left over is treated as
+// everyday card spending. Returns one row per day with the bills and pay
+// that landed, and which limits the balances broke.
+export function forecastCashFlow({ nextPayday, payFrequency, monthlyIncome, monthlyExpenses, bills, cash, cashFloor, creditBalance, creditTarget, days = 90, today = new Date() }) {
+  const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + days - 1);
+  const paydays = new Set(upcomingPaydays(nextPayday, payFrequency, Math.ceil(days / 7) + 1, start).map(isoDate));
+  if (!paydays.size) return [];
+
+  const due = {};
+  for (const b of bills) {
+    if (!num(b.amount)) continue;
+    for (const d of billDates(b, start, end)) (due[isoDate(d)] ||= []).push(b);
+  }
+  const pay = monthlyIncome * 12 / cyclesPerYear[payFrequency];
+  const daily = Math.max(0, monthlyExpenses - monthlyBills(bills)) * 12 / 365;
+  let balance = cash, credit = creditBalance;
+
+  return Array.from({ length: days }, (_, i) => {
+    const date = isoDate(new Date(start.getFullYear(), start.getMonth(), start.getDate() + i));
+    const billsDue = due[date] || [];
+    credit += daily;
+    for (const b of billsDue) {
+      if (b.from === 'cash') balance -= num(b.amount);
+      else credit += num(b.amount);
+    }
+    const payday = paydays.has(date);
+    if (payday) ({ balance, credit } = sweep({ balance, credit, pay, cashFloor, creditTarget }));
+    return {
+      date, cash: balance, credit, payday,
+      bills: billsDue.map(b => ({ name: b.name, amount: num(b.amount), from: b.from })),
+      belowFloor: cashFloor > 0 && balance < cashFloor,
+      overTarget: creditTarget > 0 && credit > creditTarget,
+    };
+  });
+}
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { monthlyBills, billDates, forecastCashFlow } from './bills.js';
+import { isoDate } from './payCycle.js';
+
+const today = new Date(2026, 0, 1);
+
+test('monthlyBills normalises every cadence', () => {
+  assert.equal(monthlyBills([{ amount: '1200', cadence: 'annual' }, { amount: '300', cadence: 'quarterly' }, { amount: '', cadence: 'weekly' }]), 200);
+});
+
+test('billDates steps from the first due date within the window', () => {
+  const dates = billDates({ due: '2025-11-30', cadence: 'monthly' }, today, new Date(2026, 2, 31));
+  assert.deepEqual(dates.map(isoDate), ['2026-01-30', '2026-02-28', '2026-03-30']);
+  assert.deepEqual(billDates({ due: '', cadence: 'monthly' }, today, new Date(2026, 2, 31)), []);
+});
+
+const base = {
+  nextPayday: '2026-01-15', payFrequency: 'monthly', monthlyIncome: 4000, monthlyExpenses: 0, bills: [],
+  cash: 1000, cashFloor: 500, creditBalance: 0, creditTarget: 0, days: 31, today,
+};
+
+test('the forecast needs a payday', () => {
+  assert.deepEqual(forecastCashFlow({ ...base, nextPayday: '' }), []);
+});
+
+test('cash bills hit cash on the due date and flag the floor', () => {
+  const rows = forecastCashFlow({ ...base, bills: [{ name: 'Rent', amount: '800', cadence: 'monthly', due: '2026-01-05', from: 'cash' }] });
+  assert.equal(rows.length, 31);
+  assert.equal(rows[4].cash, 200);
+  assert.ok(rows[4].belowFloor);
+  assert.equal(rows[14].payday, true);
+  assert.equal(rows[14].cash, 500);
+});
+
+test('card bills and everyday spending land on the card', () => {
+  const rows = forecastCashFlow({ ...base, monthlyExpenses: 365 / 12 * 10 + 50, bills: [{ name: 'Phone', amount: '50', cadence: 'monthly', due: '2026-01-03', from: 'card' }] });
+  assert.ok(Math.abs(rows[0].credit - 10) < 1e-9);
+  assert.ok(Math.abs(rows[2].credit - 80) < 1e-9);
+  assert.equal(rows[14].credit, 0);
+});
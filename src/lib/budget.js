@@ -0,0 +1,45 @@
+// Budget vs actual. Actual spending is logged per category per month as
+// `{ 'YYYY-MM': { category: amount } }`; each month's budget is the setup
+// expenses plus whatever went unspent in earlier logged months.
+
+import { num } from './num.js';
+
+export const monthKey = (date = new Date()) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+export const monthLabel = (key) => new Date(`${key}-01T00:00`).toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+
+// Merges imported totals over what's logged, category by category, so a
+// statement doesn't wipe out categories entered by hand.
+export function mergeActuals(actuals, totals) {
+  const out = { ...actuals };
+  for (const [month, cats] of Object.entries(totals)) {
+    out[month] = { ...out[month], ...Object.fromEntries(Object.entries(cats).map(([k, v]) => [k, String(Math.round(Math.max(0, v)))])) };
+  }
+  return out;
+}
+
+// One entry per logged month, oldest first. `budget` maps category to its
+// monthly amount. Underspend rolls into the category's next logged month;
+// overspend doesn't carry a debt forward. Categories left blank in a month
+// aren't tracked that month and have `actual: null`.
+export function budgetReport(actuals, budget, categories) {
+  const carry = Object.fromEntries(categories.map(([k]) => [k, 0]));
+  const last = {};
+  return Object.keys(actuals).sort().map(month => {
+    const rows = categories.map(([key, label]) => {
+      const logged = actuals[month][key] !== undefined && actuals[month][key] !== '';
+      const available = (budget[key] || 0) + carry[key];
+      const row = { key, label, budget: budget[key] || 0, rollover: carry[key], available, actual: null, variance: null, change: null };
+      if (!logged) return row;
+      row.actual = num(actuals[month][key]);
+      row.variance = available - row.actual;
+      row.change = last[key] ? (row.actual - last[key]) / last[key] : null;
+      carry[key] = Math.max(0, row.variance);
+      last[key] = row.actual;
+      return row;
+    });
+    const tracked = rows.filter(r => r.actual !== null);
+    const sum = (k) => tracked.reduce((a, r) => a + r[k], 0);
+    return { month, rows, available: sum('available'), actual: sum('actual'), variance: sum('variance') };
+  });
+}
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { monthKey, mergeActuals, budgetReport } from './budget.js';
+
+const categories = [['groceries', 'Groceries'], ['dining', 'Dining']];
+
+test('monthKey pads the month', () => {
+  assert.equal(monthKey(new Date(2026, 2, 9)), '2026-03');
+});
+
+test('mergeActuals keeps hand-entered categories and rounds imports', () => {
+  const merged = mergeActuals({ '2026-01': { dining: '80' } }, { '2026-01': { groceries: 412.6 }, '2026-02': { dining: -20 } });
+  assert.deepEqual(merged, { '2026-01': { dining: '80', groceries: '413' }, '2026-02': { dining: '0' } });
+});
+
+test('underspend rolls forward, overspend does not', () => {
+  const [jan, feb, mar] = budgetReport({
+    '2026-01': { groceries: '400' },
+    '2026-02': { groceries: '700' },
+    '2026-03': { groceries: '500' },
+  }, { groceries: 500 }, categories);
+  assert.equal(jan.rows[0].variance, 100);
+  assert.equal(feb.rows[0].rollover, 100);
+  assert.equal(feb.rows[0].variance, -100);
+  assert.equal(mar.rows[0].rollover, 0);
+  assert.equal(mar.rows[0].available, 500);
+});
+
+test('blank categories are untracked and left out of totals', () => {
+  const [jan] = budgetReport({ '2026-01': { groceries: '450', dining: '' } }, { groceries: 500, dining: 200 }, categories);
+  assert.equal(jan.rows[1].actual, null);
+  assert.equal(jan.available, 500);
+  assert.equal(jan.actual, 450);
+  assert.equal(jan.variance, 50);
+});
+
+test('change compares against the last logged month for the category', () => {
+  const report = budgetReport({
+    '2026-01': { dining: '100' }, '2026-02': { groceries: '10' }, '2026-03': { dining: '150' },
+  }, {}, categories);
+  assert.equal(report[0].rows[1].change, null);
+  assert.equal(report[2].rows[1].change, 0.5);
+  assert.deepEqual(report.map(m => m.month), ['2026-01', '2026-02', '2026-03']);
+});
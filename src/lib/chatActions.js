@@ -0,0 +1,26 @@
+// Setup-form edits Claude may suggest from the chat, and the parser that
+// pulls them out of a reply. Suggestions are only ever applied by the user.
+
+// Each field's unit is spelled out in the chat prompt so balances aren't
+// mistaken for monthly amounts.
+export const ACTION_FIELDS = [
+  ['income', 'income, at the entered frequency', 'income'], ['cash', 'cash balance', 'balance'], ['cashFloor', 'cash floor', 'balance'], ['creditTarget', 'credit card target', 'balance'],
+  ['rent', 'rent/mortgage', 'monthly'], ['utilities', 'utilities', 'monthly'], ['groceries', 'groceries', 'monthly'], ['dining', 'dining/social', 'monthly'], ['transport', 'transport', 'monthly'],
+  ['health', 'health/fitness', 'monthly'], ['subscriptions', 'subscriptions', 'monthly'], ['personal', 'personal', 'monthly'], ['savings_invest', 'savings/invest', 'monthly'],
+  ['debtExtra', 'extra debt repayment', 'monthly'], ['investShare', '% of surplus invested', 'percent'],
+];
+
+const allowed = new Set(ACTION_FIELDS.map(([k]) => k));
+
+const BLOCK = /```actions\s*([\s\S]*?)```/;
+
+export function splitActions(reply) {
+  const match = reply.match(BLOCK);
+  if (!match) return { text: reply.trim(), actions: [] };
+  let parsed;
+  try { parsed = JSON.parse(match[1]); } catch { parsed = []; }
+  const actions = (Array.isArray(parsed) ? parsed : []).filter(a =>
+    a && allowed.has(a.field) && Number.isFinite(parseFloat(a.value)) && parseFloat(a.value) >= 0,
+  ).map(a => ({ field: a.field, value: String(parseFloat(a.value)), reason: String(a.reason || ''), status: 'pending' }));
+  return { text: reply.replace(BLOCK, '').trim(), actions };
+}
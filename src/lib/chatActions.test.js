@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitActions } from './chatActions.js';
+
+const reply = (block) => `Trim dining a little.\n\n\`\`\`actions\n${block}\n\`\`\``;
+
+test('a reply without a block is plain text', () => {
+  assert.deepEqual(splitActions('  Looks good as is.\n'), { text: 'Looks good as is.', actions: [] });
+});
+
+test('splitActions pulls suggestions out of the reply', () => {
+  const { text, actions } = splitActions(reply('[{"field":"dining","value":"300","reason":"Over budget three months running."}]'));
+  assert.equal(text, 'Trim dining a little.');
+  assert.deepEqual(actions, [{ field: 'dining', value: '300', reason: 'Over budget three months running.', status: 'pending' }]);
+});
+
+test('numeric values are normalised and reasons default to blank', () => {
+  const { actions } = splitActions(reply('[{"field":"investShare","value":50},{"field":"cash","value":"1200.50"}]'));
+  assert.deepEqual(actions.map(a => [a.field, a.value, a.reason]), [['investShare', '50', ''], ['cash', '1200.5', '']]);
+});
+
+test('fields outside the allowed list and bad values are dropped', () => {
+  const { actions } = splitActions(reply(JSON.stringify([
+    { field: 'age', value: '40' },
+    { field: 'rent', value: '-100' },
+    { field: 'groceries', value: 'less' },
+    null,
+    { field: 'groceries', value: '500' },
+  ])));
+  assert.deepEqual(actions.map(a => a.field), ['groceries']);
+});
+
+test('a malformed block is removed without suggestions', () => {
+  assert.deepEqual(splitActions(reply('[{"field":')), { text: 'Trim dining a little.', actions: [] });
+  assert.deepEqual(splitActions(reply('{"field":"rent","value":"1"}')), { text: 'Trim dining a little.', actions: [] });
+});
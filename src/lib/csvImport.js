@@ -0,0 +1,133 @@
+// Bank-statement CSV import: parse, map columns to transactions, categorise
+// with user rules and average the spend per month.
+
+export const dateFormats = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY'];
+
+export const signConventions = [
+  ['debit-negative', 'Debits are negative'],
+  ['debit-positive', 'Debits are positive'],
+  ['split', 'Separate debit/credit columns'],
+];
+
+export const delimiters = [['auto', 'Detect'], [',', 'Comma'], [';', 'Semicolon'], ['\t', 'Tab']];
+
+export const defaultMapping = {
+  hasHeader: true, date: 0, description: 1, amount: 2, debit: 2, credit: 3,
+  delimiter: 'auto', dateFormat: 'DD/MM/YYYY', decimal: '.', sign: 'debit-negative',
+};
+
+// Whole words only: a bare "bar" or "gas" would catch barbers and Las Vegas.
+export const defaultRules = [
+  { match: '\\b(rent|real estate|mortgage)\\b', regex: true, category: 'rent' },
+  { match: '\\b(energy|electric|gas|water|internet|telstra|optus)\\b', regex: true, category: 'utilities' },
+  { match: '\\b(woolworths|coles|aldi|iga|tesco|safeway|kroger)\\b', regex: true, category: 'groceries' },
+  { match: '\\b(cafe|restaurant|bar|uber eats|doordash|menulog|deliveroo)\\b', regex: true, category: 'dining' },
+  { match: '\\b(uber|fuel|petrol|shell|bp|transport|opal|myki|parking)\\b', regex: true, category: 'transport' },
+  { match: '\\b(pharmacy|chemist|gym|medical|dental|health)\\b', regex: true, category: 'health' },
+  { match: '\\b(netflix|spotify|apple.com|google|disney|youtube|amazon prime)\\b', regex: true, category: 'subscriptions' },
+];
+
+// Statements using a decimal comma separate fields with ";" and some banks
+// export tabs, so the separator that splits the first line most wins.
+export function detectDelimiter(text) {
+  const line = text.split(/\r?\n/).find(l => l.trim()) || '';
+  const unquoted = line.replace(/"[^"]*"/g, '');
+  const [best, count] = [',', ';', '\t']
+    .map(d => [d, unquoted.split(d).length - 1])
+    .reduce((a, b) => b[1] > a[1] ? b : a);
+  return count > 0 ? best : ',';
+}
+
+export function parseCsv(text, delimiter = ',') {
+  if (delimiter === 'auto') delimiter = detectDelimiter(text);
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === delimiter) { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(f => f.trim())) rows.push(row);
+      row = [];
+    } else field += c;
+  }
+  row.push(field);
+  if (row.some(f => f.trim())) rows.push(row);
+  return rows;
+}
+
+export function parseDate(value, format) {
+  const parts = String(value).trim().split(/[/\-. ]/).map(Number);
+  if (parts.length < 3 || parts.slice(0, 3).some(isNaN)) return null;
+  const [y, m, d] = format === 'YYYY-MM-DD' ? parts : format === 'MM/DD/YYYY' ? [parts[2], parts[0], parts[1]] : [parts[2], parts[1], parts[0]];
+  const year = y < 100 ? 2000 + y : y;
+  if (m < 1 || m > 12 || d < 1 || d > new Date(year, m, 0).getDate()) return null;
+  return `${year}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+// Handles currency symbols, thousands separators, "(12.50)" and "12.50-" negatives.
+export function parseAmount(value, decimal = '.') {
+  let v = String(value).trim();
+  if (!v) return null;
+  const negative = /^\(.*\)$/.test(v) || /^-|-$/.test(v.replace(/[^\d\-.,()]/g, ''));
+  v = v.replace(decimal === ',' ? /[^\d,]/g : /[^\d.]/g, '');
+  if (decimal === ',') v = v.replace(',', '.');
+  const n = parseFloat(v);
+  if (isNaN(n)) return null;
+  return negative ? -n : n;
+}
+
+// Transactions carry `spend`: positive for money out, negative for money in.
+export function toTransactions(rows, mapping) {
+  const m = { ...defaultMapping, ...mapping };
+  return (m.hasHeader ? rows.slice(1) : rows).map(row => {
+    const date = parseDate(row[m.date] ?? '', m.dateFormat);
+    let spend;
+    if (m.sign === 'split') {
+      const debit = parseAmount(row[m.debit] ?? '', m.decimal), credit = parseAmount(row[m.credit] ?? '', m.decimal);
+      spend = debit === null && credit === null ? null : Math.abs(debit || 0) - Math.abs(credit || 0);
+    } else {
+      const amount = parseAmount(row[m.amount] ?? '', m.decimal);
+      spend = amount === null ? null : m.sign === 'debit-negative' ? -amount : amount;
+    }
+    return { date, description: String(row[m.description] ?? '').trim(), spend };
+  }).filter(t => t.date && t.spend !== null);
+}
+
+const matches = (rule, description) => {
+  if (!rule.match) return false;
+  if (!rule.regex) return description.toLowerCase().includes(rule.match.toLowerCase());
+  try { return new RegExp(rule.match, 'i').test(description); } catch { return false; }
+};
+
+export const categorise = (transactions, rules) => transactions.map(t => ({
+  ...t, category: rules.find(r => matches(r, t.description))?.category || null,
+}));
+
+// Average per calendar month, counting every month between the first and
+// last transaction so quiet months still pull the average down.
+export function monthlyAverages(transactions) {
+  if (!transactions.length) return { months: 0, averages: {} };
+  const keys = transactions.map(t => t.date.slice(0, 7)).sort();
+  const [fy, fm] = keys[0].split('-').map(Number), [ly, lm] = keys[keys.length - 1].split('-').map(Number);
+  const months = (ly - fy) * 12 + (lm - fm) + 1;
+  const sums = {};
+  for (const t of transactions.filter(t => t.category)) sums[t.category] = (sums[t.category] || 0) + t.spend;
+  return { months, averages: Object.fromEntries(Object.entries(sums).map(([k, v]) => [k, Math.max(0, v) / months])) };
+}
+
+// Categorised spend per calendar month, as `{ 'YYYY-MM': { category: total } }`.
+export function monthlyTotals(transactions) {
+  const out = {};
+  for (const t of transactions.filter(t => t.category)) {
+    const month = (out[t.date.slice(0, 7)] ||= {});
+    month[t.category] = (month[t.category] || 0) + t.spend;
+  }
+  return out;
+}
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectDelimiter, parseCsv, parseDate, parseAmount, toTransactions, categorise, defaultRules, monthlyAverages, monthlyTotals } from './csvImport.js';
+
+test('parseCsv handles quotes, escaped quotes and blank lines', () => {
+  assert.deepEqual(parseCsv('a,"b, c","say ""hi"""\r\n\n1,2,3'), [['a', 'b, c', 'say "hi"'], ['1', '2', '3']]);
+});
+
+test('semicolon and tab statements are detected from the first line', () => {
+  assert.equal(detectDelimiter('Datum;Omschrijving;Bedrag\n01-02-2026;"Coles, Sydney";-12,50'), ';');
+  assert.equal(detectDelimiter('Date\tDesc\tAmount\n'), '\t');
+  assert.equal(detectDelimiter('"a;b",c\n'), ',');
+  assert.equal(detectDelimiter('single\n'), ',');
+  const rows = parseCsv('Date;Desc;Amount\n01/02/2026;Coles;-1.234,50', 'auto');
+  assert.deepEqual(rows[1], ['01/02/2026', 'Coles', '-1.234,50']);
+  assert.equal(toTransactions(rows, { decimal: ',' })[0].spend, 1234.5);
+});
+
+test('parseDate reads each format and rejects nonsense', () => {
+  assert.equal(parseDate('03/02/26', 'DD/MM/YYYY'), '2026-02-03');
+  assert.equal(parseDate('03/02/2026', 'MM/DD/YYYY'), '2026-03-02');
+  assert.equal(parseDate('2026-13-01', 'YYYY-MM-DD'), null);
+  assert.equal(parseDate('31/02/2024', 'DD/MM/YYYY'), null);
+  assert.equal(parseDate('29/02/2024', 'DD/MM/YYYY'), '2024-02-29');
+  assert.equal(parseDate('29/02/2026', 'DD/MM/YYYY'), null);
+  assert.equal(parseDate('04/31/2026', 'MM/DD/YYYY'), null);
+  assert.equal(parseDate('yesterday', 'YYYY-MM-DD'), null);
+});
+
+test('parseAmount handles symbols, separators and negatives', () => {
+  assert.equal(parseAmount('$1,234.50'), 1234.5);
+  assert.equal(parseAmount('(12.50)'), -12.5);
+  assert.equal(parseAmount('12.50-'), -12.5);
+  assert.equal(parseAmount('1.234,50', ','), 1234.5);
+  assert.equal(parseAmount(''), null);
+});
+
+test('toTransactions applies the sign convention', () => {
+  const rows = [['Date', 'Desc', 'Amount'], ['01/01/2026', 'Coles', '-50'], ['02/01/2026', 'Salary', '3000'], ['bad', 'x', '1']];
+  assert.deepEqual(toTransactions(rows, {}).map(t => t.spend), [50, -3000]);
+  const split = toTransactions([['01/01/2026', 'Coles', '50', '']], { hasHeader: false, sign: 'split' });
+  assert.equal(split[0].spend, 50);
+});
+
+test('categorise uses the first matching rule', () => {
+  const [t] = categorise([{ date: '2026-01-01', description: 'UBER EATS Sydney', spend: 30 }], defaultRules);
+  assert.equal(t.category, 'dining');
+  assert.equal(categorise([{ description: 'x' }], [{ match: '(', regex: true, category: 'bad' }])[0].category, null);
+});
+
+test('default rules match whole words, not fragments of other words', () => {
+  const near = ['Hair by the Barber', 'Barbados Travel', 'Las Vegas Hotel', 'Riga Airport', 'Gigabyte Store', 'Kebpab House'];
+  assert.deepEqual(categorise(near.map(description => ({ description })), defaultRules).map(t => t.category), near.map(() => null));
+  const hits = ['BP Connect', 'Corner Bar', 'AGL Gas', 'IGA Local'];
+  assert.deepEqual(categorise(hits.map(description => ({ description })), defaultRules).map(t => t.category),
+    ['transport', 'dining', 'utilities', 'groceries']);
+});
+
+test('monthly averages count quiet months; totals group by month', () => {
+  const txns = [
+    { date: '2026-01-05', spend: 300, category: 'groceries' },
+    { date: '2026-03-05', spend: 300, category: 'groceries' },
+    { date: '2026-03-06', spend: 99, category: null },
+  ];
+  assert.deepEqual(monthlyAverages(txns), { months: 3, averages: { groceries: 200 } });
+  assert.deepEqual(monthlyTotals(txns), { '2026-01': { groceries: 300 }, '2026-03': { groceries: 300 } });
+});
@@ -0,0 +1,29 @@
+// Currency formatting and hand-entered exchange rates. Rates are stored as
+// "1 unit of X = rate units of the base currency" and never fetched.
+
+export const currencies = ['AUD', 'USD', 'GBP', 'EUR'];
+
+const formatters = new Map();
+const formatter = (currency, compact) => {
+  const key = currency + (compact ? ':compact' : '');
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.NumberFormat(undefined, compact
+      ? { style: 'currency', currency, notation: 'compact', maximumFractionDigits: 1 }
+      : { style: 'currency', currency, maximumFractionDigits: 0 }));
+  }
+  return formatters.get(key);
+};
+
+export const formatMoney = (n, currency) => formatter(currency).format(Math.round(n) || 0);
+
+export const formatCompact = (n, currency) => formatter(currency, true).format(n || 0);
+
+export const currencySymbol = (currency) =>
+  formatter(currency).formatToParts(0).find(p => p.type === 'currency')?.value || currency;
+
+export const hasRate = (from, base, rates) => !from || from === base || parseFloat(rates?.[from]) > 0;
+
+// A missing rate converts at 1:1 so totals stay visible; the setup view
+// flags the gap via `hasRate`.
+export const convert = (amount, from, base, rates) =>
+  hasRate(from, base, rates) && from && from !== base ? amount * parseFloat(rates[from]) : amount;
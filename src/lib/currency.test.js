@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatMoney, formatCompact, currencySymbol, hasRate, convert } from './currency.js';
+
+// Formatting follows the runtime's locale, so these compare against it
+// rather than fixed strings.
+test('formatMoney rounds to whole units and shows blanks as zero', () => {
+  assert.equal(formatMoney(1234.6, 'AUD'), formatMoney(1235, 'AUD'));
+  assert.equal(formatMoney(NaN, 'AUD'), formatMoney(0, 'AUD'));
+  assert.equal(formatMoney(undefined, 'USD'), formatMoney(0, 'USD'));
+  assert.match(formatMoney(1235, 'GBP'), /1\D?235/);
+});
+
+test('formatCompact shortens large amounts', () => {
+  assert.ok(formatCompact(1_500_000, 'AUD').length < formatMoney(1_500_000, 'AUD').length);
+  assert.equal(formatCompact(null, 'AUD'), formatCompact(0, 'AUD'));
+});
+
+test('currencySymbol is the symbol the formatter prints', () => {
+  for (const c of ['AUD', 'USD', 'GBP', 'EUR']) assert.ok(formatMoney(5, c).includes(currencySymbol(c)), c);
+});
+
+test('hasRate needs a positive rate only for other currencies', () => {
+  assert.equal(hasRate('', 'AUD', {}), true);
+  assert.equal(hasRate('AUD', 'AUD', {}), true);
+  assert.equal(hasRate('USD', 'AUD', {}), false);
+  assert.equal(hasRate('USD', 'AUD', { USD: '0' }), false);
+  assert.equal(hasRate('USD', 'AUD', { USD: 'abc' }), false);
+  assert.equal(hasRate('USD', 'AUD', { USD: '1.5' }), true);
+  assert.equal(hasRate('USD', 'AUD', undefined), false);
+});
+
+test('convert applies the rate and falls back to 1:1 without one', () => {
+  assert.equal(convert(100, 'USD', 'AUD', { USD: '1.5' }), 150);
+  assert.equal(convert(100, 'USD', 'AUD', {}), 100);
+  assert.equal(convert(100, 'AUD', 'AUD', { AUD: '2' }), 100);
+  assert.equal(convert(100, '', 'AUD', { USD: '1.5' }), 100);
+});
@@ -0,0 +1,58 @@
+// Liabilities and payoff simulation. Every month each debt accrues interest
+// and gets its minimum; the extra payment plus minimums freed up by cleared
+// debts roll onto the current target debt.
+
+import { uid } from './holdings.js';
+import { num } from './num.js';
+
+export const debtTypes = [['card', 'Credit card'], ['mortgage', 'Mortgage'], ['car', 'Car loan'], ['student', 'Student loan'], ['personal', 'Personal loan']];
+
+export const strategies = [['avalanche', 'Highest rate first'], ['snowball', 'Smallest balance first']];
+
+export const newDebt = (type = 'card') => ({ id: uid(), type, name: '', balance: '', rate: '', minPayment: '', shared: false });
+
+export const debtTotal = (debts, type) => debts.filter(d => !type || d.type === type).reduce((a, d) => a + num(d.balance), 0);
+
+const byStrategy = {
+  avalanche: (a, b) => b.rate - a.rate || a.balance - b.balance,
+  snowball: (a, b) => a.balance - b.balance || b.rate - a.rate,
+};
+
+export function simulatePayoff(debts, { strategy = 'avalanche', extra = 0, maxMonths = 600 } = {}) {
+  const open = debts.filter(d => num(d.balance) > 0).map(d => ({
+    id: d.id, balance: num(d.balance), rate: num(d.rate) / 100 / 12, minPayment: num(d.minPayment),
+  }));
+  const budget = open.reduce((a, d) => a + d.minPayment, 0) + Math.max(0, extra);
+  const payoffs = {};
+  let totalInterest = 0, month = 0;
+
+  while (open.some(d => d.balance > 0.005)) {
+    if (++month > maxMonths) return { feasible: false, months: null, totalInterest, payoffs };
+    const active = open.filter(d => d.balance > 0.005);
+    for (const d of active) {
+      const interest = d.balance * d.rate;
+      totalInterest += interest;
+      d.balance += interest;
+    }
+    let pool = budget;
+    for (const d of active) {
+      const pay = Math.min(d.balance, d.minPayment, pool);
+      d.balance -= pay;
+      pool -= pay;
+    }
+    for (const d of active.filter(d => d.balance > 0.005).sort(byStrategy[strategy])) {
+      const pay = Math.min(d.balance, pool);
+      d.balance -= pay;
+      pool -= pay;
+    }
+    for (const d of active) if (d.balance <= 0.005) payoffs[d.id] = month;
+  }
+  return { feasible: true, months: month, totalInterest, payoffs };
+}
+
+// Forms saved before liabilities were itemised held one `creditBalance`.
+export function migrateLegacyDebts(form) {
+  if (Array.isArray(form.debts)) return form;
+  const { creditBalance, ...rest } = form;
+  return { ...rest, debts: num(creditBalance) > 0 ? [{ ...newDebt('card'), name: 'Credit card', balance: creditBalance }] : [] };
+}
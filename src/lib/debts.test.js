@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { debtTotal, simulatePayoff, migrateLegacyDebts } from './debts.js';
+
+const debts = [
+  { id: 'a', type: 'card', balance: '1000', rate: '20', minPayment: '50' },
+  { id: 'b', type: 'car', balance: '500', rate: '5', minPayment: '50' },
+];
+
+test('debtTotal sums all debts or one type', () => {
+  assert.equal(debtTotal(debts), 1500);
+  assert.equal(debtTotal(debts, 'card'), 1000);
+  assert.equal(debtTotal([{ balance: '' }]), 0);
+});
+
+test('an interest-free debt pays off on its minimum', () => {
+  const r = simulatePayoff([{ id: 'x', balance: '300', rate: '0', minPayment: '100' }]);
+  assert.deepEqual(r, { feasible: true, months: 3, totalInterest: 0, payoffs: { x: 3 } });
+});
+
+test('avalanche clears the highest rate first and costs less interest', () => {
+  const avalanche = simulatePayoff(debts, { strategy: 'avalanche', extra: 200 });
+  const snowball = simulatePayoff(debts, { strategy: 'snowball', extra: 200 });
+  assert.ok(avalanche.payoffs.a < avalanche.payoffs.b);
+  assert.ok(snowball.payoffs.b < snowball.payoffs.a);
+  assert.ok(avalanche.totalInterest < snowball.totalInterest);
+});
+
+test('minimums that don\'t cover interest are infeasible', () => {
+  const r = simulatePayoff([{ id: 'x', balance: '10000', rate: '24', minPayment: '100' }], { maxMonths: 120 });
+  assert.equal(r.feasible, false);
+  assert.equal(r.months, null);
+});
+
+test('no debts means nothing to simulate', () => {
+  assert.equal(simulatePayoff([]).months, 0);
+});
+
+test('legacy credit balance becomes a card debt', () => {
+  assert.equal(migrateLegacyDebts({ creditBalance: '900' }).debts[0].balance, '900');
+  assert.deepEqual(migrateLegacyDebts({ creditBalance: '' }).debts, []);
+  assert.equal(migrateLegacyDebts({ debts: debts }).debts, debts);
+});
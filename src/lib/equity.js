@@ -0,0 +1,135 @@
+// Startup equity grants: cliff + cadence vesting from the grant date, and
+// exit scenarios across a range of valuations around the last round.
+
+import { uid } from './holdings.js';
+import { parseDate, isoDate } from './payCycle.js';
+import { num } from './num.js';
+
+export const grantTypes = [['option', 'Options'], ['rsu', 'RSUs']];
+export const cadences = [['monthly', 'Monthly', 1], ['quarterly', 'Quarterly', 3], ['annual', 'Annually', 12]];
+export const exitMultiples = [0.5, 1, 2, 5];
+
+export const newGrant = () => ({
+  id: uid(), type: 'option', grantDate: '', shares: '', strike: '', fmv: '', preferred: '',
+  cliffMonths: '12', vestingMonths: '48', cadence: 'monthly',
+});
+
+const addMonths = (date, n) => {
+  const target = new Date(date.getFullYear(), date.getMonth() + n, 1);
+  const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  return new Date(target.getFullYear(), target.getMonth(), Math.min(date.getDate(), lastDay));
+};
+
+export const monthsElapsed = (from, to) => {
+  let m = (to.getFullYear() - from.getFullYear()) * 12 + to.getMonth() - from.getMonth();
+  if (addMonths(from, m) > to) m--;
+  return Math.max(0, m);
+};
+
+const step = (grant) => cadences.find(([k]) => k === grant.cadence)?.[2] || 1;
+
+// Share of the grant vested `m` months after the grant date. A blank or zero
+// vesting period means the grant vested immediately.
+const vestedFraction = (grant, m) => {
+  const vesting = num(grant.vestingMonths);
+  if (vesting <= 0) return 1;
+  if (m < num(grant.cliffMonths)) return 0;
+  return Math.min(vesting, Math.floor(m / step(grant)) * step(grant)) / vesting;
+};
+
+export function vestedShares(grant, today = new Date()) {
+  const start = parseDate(grant.grantDate);
+  if (!start || start > today) return 0;
+  return num(grant.shares) * vestedFraction(grant, monthsElapsed(start, today));
+}
+
+// Future vesting events with the cumulative shares vested after each.
+export function vestingTimeline(grant, today = new Date()) {
+  const start = parseDate(grant.grantDate), vesting = num(grant.vestingMonths);
+  if (!start || vesting <= 0) return [];
+  const events = [];
+  for (let m = Math.max(step(grant), num(grant.cliffMonths)); m <= vesting; m += step(grant)) {
+    const date = addMonths(start, m);
+    if (date <= today) continue;
+    events.push({ date: isoDate(date), shares: num(grant.shares) * vestedFraction(grant, m) });
+  }
+  return events;
+}
+
+// What `shares` of a grant are worth at a given share price, what it costs
+// to exercise them (options only), and the tax on the gain.
+export function grantOutcome(grant, shares, price, taxRate = 0) {
+  const strike = grant.type === 'option' ? num(grant.strike) : 0;
+  const gross = shares * price;
+  const exerciseCost = shares * strike;
+  const gain = Math.max(0, gross - exerciseCost);
+  const tax = gain * taxRate;
+  return { gross, exerciseCost, tax, net: gain - tax };
+}
+
+const sum = (rows, key) => rows.reduce((a, r) => a + r[key], 0);
+
+// Grants without a preferred price are valued at the company valuation over
+// its fully diluted share count, when both are known.
+export function priceFromValuation(grants, companyVal, fullyDilutedShares) {
+  const price = num(companyVal) > 0 && num(fullyDilutedShares) > 0 ? num(companyVal) / num(fullyDilutedShares) : 0;
+  return grants.map(g => num(g.preferred) > 0 || !price ? g : { ...g, preferred: String(price) });
+}
+
+// One row per exit multiple of the last preferred price, after dilution.
+// `vestedOnly` values today's vested shares; otherwise the full grants.
+export function exitScenarios(grants, { dilution = 0, taxRate = 0, vestedOnly = false, today = new Date(), multiples = exitMultiples } = {}) {
+  return multiples.map(multiple => {
+    const outcomes = grants.map(g => grantOutcome(g, vestedOnly ? vestedShares(g, today) : num(g.shares), num(g.preferred) * multiple * (1 - dilution), taxRate));
+    return { multiple, gross: sum(outcomes, 'gross'), exerciseCost: sum(outcomes, 'exerciseCost'), tax: sum(outcomes, 'tax'), net: sum(outcomes, 'net') };
+  });
+}
+
+// Paper value of `shares` at `price`, net of strike for options.
+const spread = (g, shares, price) => shares * Math.max(0, price - (g.type === 'option' ? num(g.strike) : 0));
+
+export function equitySummary(grants, today = new Date()) {
+  const vested = grants.map(g => ({ g, v: vestedShares(g, today) }));
+  return {
+    shares: grants.reduce((a, g) => a + num(g.shares), 0),
+    vestedShares: vested.reduce((a, { v }) => a + v, 0),
+    totalValue: grants.reduce((a, g) => a + spread(g, num(g.shares), num(g.preferred)), 0),
+    vestedValue: vested.reduce((a, { g, v }) => a + spread(g, v, num(g.preferred)), 0),
+    exerciseCost: vested.reduce((a, { g, v }) => a + (g.type === 'option' ? v * num(g.strike) : 0), 0),
+    // The spread over strike at the 409A price, which is what gets taxed if
+    // every vested option were exercised today.
+    exerciseSpread: vested.reduce((a, { g, v }) => a + (g.type === 'option' ? spread(g, v, num(g.fmv)) : 0), 0),
+  };
+}
+
+// Upcoming vesting events across all grants, merged by date, with the
+// shares each event adds and their paper value.
+export function upcomingVests(grants, today = new Date(), limit = 6) {
+  const byDate = {};
+  for (const g of grants) {
+    let prev = vestedShares(g, today);
+    for (const e of vestingTimeline(g, today)) {
+      const row = byDate[e.date] ||= { date: e.date, shares: 0, value: 0 };
+      row.shares += e.shares - prev;
+      row.value += spread(g, e.shares - prev, num(g.preferred));
+      prev = e.shares;
+    }
+  }
+  return Object.values(byDate).sort((a, b) => a.date.localeCompare(b.date)).slice(0, limit);
+}
+
+// Forms saved before grants existed held a single `equityValue` with months
+// vested typed in by hand. That becomes one RSU grant of `equityValue` $1
+// shares, backdated so today's vesting matches what was entered.
+export function migrateLegacyEquity(form, today = new Date()) {
+  if (Array.isArray(form.grants)) return form;
+  const { equityValue, vestedMonths, vestingMonths, ...rest } = form;
+  if (!num(equityValue)) return { ...rest, grants: [] };
+  return {
+    ...rest,
+    grants: [{
+      ...newGrant(), type: 'rsu', shares: equityValue, fmv: '1', preferred: '1', cliffMonths: '0',
+      vestingMonths: vestingMonths || '48', grantDate: isoDate(addMonths(today, -num(vestedMonths))),
+    }],
+  };
+}
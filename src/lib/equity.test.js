@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { monthsElapsed, vestedShares, vestingTimeline, grantOutcome, exitScenarios, priceFromValuation, equitySummary, migrateLegacyEquity } from './equity.js';
+
+const today = new Date(2026, 0, 15);
+const grant = (over = {}) => ({
+  type: 'option', grantDate: '2024-01-15', shares: '4800', strike: '1', fmv: '2', preferred: '5',
+  cliffMonths: '12', vestingMonths: '48', cadence: 'monthly', ...over,
+});
+
+test('monthsElapsed counts whole months, clamping to month end', () => {
+  assert.equal(monthsElapsed(new Date(2024, 0, 31), new Date(2024, 1, 28)), 0);
+  assert.equal(monthsElapsed(new Date(2024, 0, 31), new Date(2024, 1, 29)), 1);
+  assert.equal(monthsElapsed(new Date(2024, 0, 15), new Date(2026, 0, 15)), 24);
+  assert.equal(monthsElapsed(new Date(2026, 0, 15), new Date(2024, 0, 15)), 0);
+});
+
+test('nothing vests before the cliff, then it catches up', () => {
+  assert.equal(vestedShares(grant({ grantDate: '2025-03-15' }), today), 0);
+  assert.equal(vestedShares(grant(), today), 2400);
+});
+
+test('quarterly vesting rounds down to the last vest date', () => {
+  assert.equal(vestedShares(grant({ cadence: 'quarterly', grantDate: '2024-03-15' }), today), 4800 * 21 / 48);
+});
+
+test('a blank or zero vesting period vests everything, never NaN', () => {
+  for (const vestingMonths of ['', '0', undefined]) {
+    const g = grant({ vestingMonths });
+    assert.equal(vestedShares(g, today), 4800);
+    assert.deepEqual(vestingTimeline(g, today), []);
+    const s = equitySummary([g], today);
+    for (const v of Object.values(s)) assert.ok(Number.isFinite(v));
+    assert.equal(s.vestedValue, 4800 * 4);
+  }
+});
+
+test('blank or future grant dates vest nothing', () => {
+  assert.equal(vestedShares(grant({ grantDate: '' }), today), 0);
+  assert.equal(vestedShares(grant({ grantDate: '2027-01-01' }), today), 0);
+});
+
+test('vestingTimeline lists only future events, ending fully vested', () => {
+  const events = vestingTimeline(grant(), today);
+  assert.equal(events[0].date, '2026-02-15');
+  assert.equal(events.at(-1).shares, 4800);
+  assert.equal(events.length, 24);
+});
+
+test('grantOutcome nets exercise cost and tax; RSUs have no strike', () => {
+  assert.deepEqual(grantOutcome(grant(), 100, 5, 0.3), { gross: 500, exerciseCost: 100, tax: 120, net: 280 });
+  assert.deepEqual(grantOutcome(grant({ type: 'rsu' }), 100, 5), { gross: 500, exerciseCost: 0, tax: 0, net: 500 });
+  assert.equal(grantOutcome(grant(), 100, 0.5).net, 0);
+});
+
+test('exitScenarios applies multiples and dilution', () => {
+  const [half, one] = exitScenarios([grant()], { multiples: [0.5, 1], dilution: 0.2 });
+  assert.equal(one.gross, 4800 * 5 * 0.8);
+  assert.equal(half.gross, 4800 * 2.5 * 0.8);
+});
+
+test('a valuation and share count price grants without a preferred price', () => {
+  const [priced, kept] = priceFromValuation([grant({ preferred: '' }), grant()], '8000000', '2000000');
+  assert.equal(priced.preferred, '4');
+  assert.equal(kept.preferred, '5');
+  assert.equal(exitScenarios([priced], { multiples: [2] })[0].gross, 4800 * 8);
+  for (const [val, shares] of [['8000000', ''], ['', '2000000'], ['8,000,000', '0']]) {
+    assert.equal(priceFromValuation([grant({ preferred: '' })], val, shares)[0].preferred, '');
+  }
+});
+
+test('equitySummary values vested options over strike', () => {
+  const s = equitySummary([grant()], today);
+  assert.equal(s.vestedShares, 2400);
+  assert.equal(s.vestedValue, 2400 * 4);
+  assert.equal(s.totalValue, 4800 * 4);
+  assert.equal(s.exerciseCost, 2400);
+  assert.equal(s.exerciseSpread, 2400);
+});
+
+test('legacy equity becomes a backdated RSU grant', () => {
+  const { grants } = migrateLegacyEquity({ equityValue: '48000', vestedMonths: '12', vestingMonths: '48' }, today);
+  assert.equal(grants.length, 1);
+  assert.equal(vestedShares(grants[0], today), 12000);
+  assert.deepEqual(migrateLegacyEquity({ equityValue: '' }).grants, []);
+});
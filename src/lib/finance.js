@@ -0,0 +1,216 @@
+// The calculation core: a form in, the numbers every view shows out, plus
+// form validation and the summary and prompts sent to Claude. No React, no
+// browser APIs, so the server builds prompts with the same code the
+// dashboard uses.
+
+import { num } from './num.js';
+import { classTotals } from './holdings.js';
+import { debtTotal, debtTypes } from './debts.js';
+import { convert } from './currency.js';
+import { parseDate } from './csvImport.js';
+import { exitScenarios } from './equity.js';
+import { afterTax } from './tax/index.js';
+import { INSIGHT_COUNT, INSIGHT_TYPES } from './analysisSchema.js';
+import { ACTION_FIELDS } from './chatActions.js';
+
+export const expenseCategories = [['rent','Rent/mortgage'],['utilities','Utilities'],['groceries','Groceries'],['dining','Dining/social'],['transport','Transport'],['health','Health/fitness'],['subscriptions','Subscriptions'],['personal','Personal'],['savings_invest','Savings/invest']];
+
+export const grossMonthlyIncome = (form) =>
+  form.frequency === 'annual' ? num(form.income) / 12 : form.frequency === 'fortnightly' ? num(form.income) * 26 / 12 : num(form.income);
+
+// Expenses are entered per week, fortnight or month; this turns them monthly.
+export const expenseMultiplier = (frequency) => frequency === 'weekly' ? 4.33 : frequency === 'fortnightly' ? 2.17 : 1;
+
+export const monthlyExpenses = (form) => expenseCategories.reduce((a, [k]) => a + num(form[k]), 0) * expenseMultiplier(form.expenseFrequency);
+
+export const savingsRate = (income, surplus) => income > 0 ? (surplus / income) * 100 : 0;
+
+// Everything the dashboard derives from one form, in its own currency.
+export function personFinances(form) {
+  const toBase = (amount, currency) => convert(amount, currency, form.currency, form.fxRates);
+  const grossMonthly = grossMonthlyIncome(form);
+  const pay = afterTax(form.taxRegion, { gross: grossMonthly * 12, hasHelp: form.hasHelp, salarySacrifice: num(form.salarySacrifice) });
+  const monthlyIncome = pay.net / 12;
+  const expenses = monthlyExpenses(form);
+  const surplus = monthlyIncome - expenses;
+  const cash = toBase(num(form.cash), form.cashCurrency);
+  const totals = classTotals(form.holdings || [], toBase);
+  const totalDebt = debtTotal(form.debts || []);
+  return {
+    toBase, grossMonthly, pay, monthlyIncome, expenseMultiplier: expenseMultiplier(form.expenseFrequency), expenses, surplus,
+    rate: savingsRate(monthlyIncome, surplus),
+    cash, totals, cardBalance: debtTotal(form.debts || [], 'card'), totalDebt,
+    netWorth: cash + Object.values(totals).reduce((a, v) => a + v, 0) - totalDebt,
+  };
+}
+
+// Each category's budget as a monthly amount.
+export const monthlyBudget = (form) =>
+  Object.fromEntries(expenseCategories.map(([k]) => [k, num(form[k]) * expenseMultiplier(form.expenseFrequency)]));
+
+// The dashboard's traffic lights. Cards are swept back to target every
+// payday; only loans need minimums that outrun interest.
+export function statusLights(form, f, payoff) {
+  return {
+    cash: f.cash >= num(form.cashFloor) || !form.cashFloor,
+    debt: (f.cardBalance <= num(form.creditTarget) || !form.creditTarget) && (payoff.feasible || f.totalDebt === f.cardBalance),
+    rate: f.rate >= 20,
+  };
+}
+
+// Yearly spending in retirement; blank means today's spending carries on.
+export const retirementSpending = (form, expenses) => form.fiSpending ? num(form.fiSpending) : expenses * 12;
+
+export const exitOptions = (form) => ({ dilution: num(form.dilution) / 100, taxRate: num(form.equityTaxRate) / 100 });
+
+// The after-tax proceeds of an exit at the chosen multiple, as a lump sum
+// for the projection, when the user has opted to include it.
+export function exitLumpSums(form, grants) {
+  if (!grants.length || !form.equityInProjection) return [];
+  const [exit] = exitScenarios(grants, { ...exitOptions(form), multiples: [num(form.exitMultiple)] });
+  return [{ year: num(form.exitYear), amount: exit.net }];
+}
+
+// [field, label, { min, max }] for plain numeric fields.
+const numericFields = [
+  ['income', 'Income', { min: 0 }], ['cash', 'Cash balance', { min: 0 }], ['cashFloor', 'Cash floor', { min: 0 }], ['creditTarget', 'Credit target', { min: 0 }],
+  ...expenseCategories.map(([k, l]) => [k, l, { min: 0 }]),
+  ['salarySacrifice', 'Salary sacrifice', { min: 0 }], ['debtExtra', 'Extra debt payment', { min: 0 }],
+  ['horizon', 'Projection years', { min: 1, max: 40 }], ['inflation', 'Inflation', { min: -10, max: 50 }], ['salaryGrowth', 'Salary growth', { min: -50, max: 100 }],
+  ['investShare', 'Surplus invested', { min: 0, max: 100 }], ['companyVal', 'Company valuation', { min: 0 }], ['fullyDilutedShares', 'Fully diluted shares', { min: 0 }],
+  ['exitMultiple', 'Exit multiple', { min: 0 }], ['exitYear', 'Exit year', { min: 0 }], ['dilution', 'Dilution', { min: 0, max: 100 }], ['equityTaxRate', 'Equity tax rate', { min: 0, max: 100 }],
+  ['fiSpending', 'Retirement spending', { min: 0 }], ['withdrawalRate', 'Withdrawal rate', { min: 0, max: 100 }], ['preservationAge', 'Super unlock age', { min: 0, max: 120 }],
+  ['fiReturn', 'Average return', { min: -50, max: 100 }], ['fiVolatility', 'Volatility', { min: 0, max: 100 }],
+];
+
+const itemFields = {
+  holdings: [['units', 'units'], ['price', 'price'], ['value', 'value'], ['costBasis', 'cost basis']],
+  debts: [['balance', 'balance'], ['rate', 'rate'], ['minPayment', 'minimum payment']],
+  grants: [['shares', 'shares'], ['strike', 'strike'], ['fmv', '409A price'], ['preferred', 'preferred price'], ['cliffMonths', 'cliff'], ['vestingMonths', 'vesting period']],
+  goals: [['target', 'target']],
+  bills: [['amount', 'amount']],
+};
+const itemNames = { holdings: 'Holding', debts: 'Debt', grants: 'Grant', goals: 'Goal', bills: 'Bill' };
+
+const isBlank = (v) => v === undefined || v === null || String(v).trim() === '';
+const isNumber = (v) => Number.isFinite(Number(String(v).trim()));
+// `Date` would roll 2026-02-31 into March; the import parser rejects it.
+const isDate = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && parseDate(v, 'YYYY-MM-DD') === v;
+
+function checkNumber(errors, field, label, value, { min = 0, max = Infinity } = {}) {
+  if (isBlank(value)) return;
+  if (!isNumber(value)) errors.push({ field, message: `${label} must be a number${String(value).includes(',') ? ' (no commas)' : ''}.` });
+  else if (Number(value) < min) errors.push({ field, message: min === 0 ? `${label} can't be negative.` : `${label} must be at least ${min}.` });
+  else if (Number(value) > max) errors.push({ field, message: `${label} must be at most ${max}.` });
+}
+
+// Problems a user can fix in setup. `num` would quietly read "140,000" as
+// 140 and "abc" as 0, so these are surfaced rather than guessed at.
+export function validateForm(form) {
+  const errors = [];
+  if (!isBlank(form.age) && !(Number.isInteger(Number(form.age)) && Number(form.age) > 0 && Number(form.age) < 120)) {
+    errors.push({ field: 'age', message: 'Age must be a whole number of years.' });
+  }
+  for (const [field, label, range] of numericFields) checkNumber(errors, field, label, form[field], range);
+  for (const [list, fields] of Object.entries(itemFields)) {
+    (form[list] || []).forEach((item, i) => {
+      const name = item.name ? `${itemNames[list]} "${item.name}"` : `${itemNames[list]} ${i + 1}`;
+      for (const [k, l] of fields) checkNumber(errors, `${list}[${i}].${k}`, `${name} ${l}`, item[k], { min: k === 'rate' ? -100 : 0 });
+    });
+  }
+  for (const [list, key] of [['grants', 'grantDate'], ['goals', 'date'], ['bills', 'due']]) {
+    (form[list] || []).forEach((item, i) => {
+      if (!isBlank(item[key]) && !isDate(item[key])) errors.push({ field: `${list}[${i}].${key}`, message: `${itemNames[list]} ${i + 1} has an invalid date.` });
+    });
+  }
+  if (!isBlank(form.nextPayday) && !isDate(form.nextPayday)) errors.push({ field: 'nextPayday', message: 'Next payday is not a valid date.' });
+  return errors;
+}
+
+const MAX_SUMMARY_DEBTS = 20;
+
+// The server takes at most 20 debts; beyond that the smallest are combined
+// into one line at their balance-weighted rate.
+function summaryDebts(debts) {
+  const open = debts.filter(d => num(d.balance) > 0)
+    .map(d => ({ name: (d.name || debtTypes.find(([t]) => t === d.type)[1]).slice(0, 60), balance: num(d.balance), rate: num(d.rate) }));
+  if (open.length <= MAX_SUMMARY_DEBTS) return open;
+  const sorted = [...open].sort((a, b) => b.balance - a.balance);
+  const rest = sorted.slice(MAX_SUMMARY_DEBTS - 1);
+  const balance = rest.reduce((a, d) => a + d.balance, 0);
+  return [...sorted.slice(0, MAX_SUMMARY_DEBTS - 1), { name: `${rest.length} smaller debts`, balance, rate: rest.reduce((a, d) => a + d.rate * d.balance, 0) / balance }];
+}
+
+// The numbers sent to /api/analyze and /api/chat, in the shape the server
+// validates. `parts` are the dashboard's derived values for this form.
+export function buildSummary(form, { finances: f, taxRegion, payoff, grants, equity, goalPlan, retirement, budgetMonth }) {
+  return {
+    name: String(form.name ?? '').slice(0, 60), age: String(form.age ?? '').slice(0, 3), currency: form.currency,
+    monthlyIncome: f.monthlyIncome, expenses: f.expenses, surplus: f.surplus, rate: f.rate,
+    tax: taxRegion ? { region: taxRegion.label, grossMonthly: f.grossMonthly, superMonthly: f.pay.super.net / 12 } : null,
+    cash: f.cash, cashFloor: num(form.cashFloor), cardBalance: f.cardBalance, creditTarget: num(form.creditTarget),
+    debts: summaryDebts(form.debts),
+    debtFreeMonths: payoff.feasible ? payoff.months : null,
+    assets: f.totals,
+    equity: grants.length ? { vestedValue: equity.vestedValue, totalValue: equity.totalValue, exerciseCost: equity.exerciseCost } : null,
+    goals: goalPlan.goals.slice(0, 10).map(g => ({ name: (g.name || 'Unnamed goal').slice(0, 60), target: g.target, current: g.current, date: form.goals.find(x => x.id === g.id).date, required: g.required, allocated: g.allocated, status: g.status })),
+    retirement: retirement ? { fiNumber: retirement.fiNumber, withdrawalRate: num(form.withdrawalRate), medianAge: retirement.medianAge, preservationAge: num(form.preservationAge) } : null,
+    budget: budgetMonth ? { month: budgetMonth.month, categories: budgetMonth.rows.filter(r => r.actual !== null).map(r => ({ name: r.label, budget: r.available, actual: r.actual })) } : null,
+    netWorth: f.netWorth,
+  };
+}
+
+export function describeSummary(s) {
+  const fmt = (n) => new Intl.NumberFormat('en', { style: 'currency', currency: s.currency, maximumFractionDigits: 0 }).format(n);
+  const pct = (n) => n.toFixed(1) + '%';
+  const debts = s.debts.filter(d => d.balance > 0);
+  const goal = (g) => `${g.name} ${fmt(g.current)} of ${fmt(g.target)}${g.date ? ` by ${g.date}` : ''}, ${g.status === 'done' ? 'funded' : `needs ${fmt(g.required)}/month, surplus covers ${fmt(g.allocated)} (${g.status.replace('_', ' ')})`}`;
+  const budget = (c) => `${c.name} ${fmt(c.actual)} of ${fmt(c.budget)} (${c.actual > c.budget ? `${fmt(c.actual - c.budget)} over` : `${fmt(c.budget - c.actual)} under`})`;
+
+  return [
+    `All amounts in ${s.currency}.`,
+    '',
+    `${s.name}, ${s.age}`,
+    `Income: ${fmt(s.monthlyIncome)}/month${s.tax ? ` take-home (${fmt(s.tax.grossMonthly)} gross under ${s.tax.region}; ${fmt(s.tax.superMonthly)}/month into super after contributions tax)` : ''}`,
+    `Expenses: ${fmt(s.expenses)}/month`,
+    `Surplus: ${fmt(s.surplus)}/month`,
+    `Savings Rate: ${pct(s.rate)}`,
+    `Cash: ${fmt(s.cash)} (floor: ${fmt(s.cashFloor)})`,
+    `Credit cards: ${fmt(s.cardBalance)} (target: ≤${fmt(s.creditTarget)})`,
+    `Debts: ${debts.map(d => `${d.name} ${fmt(d.balance)} at ${d.rate}%`).join(', ') || 'none'}${debts.length ? ` (${s.debtFreeMonths !== null ? `debt-free in ${s.debtFreeMonths} months` : 'minimums don\'t cover interest'})` : ''}`,
+    `Assets: ETFs ${fmt(s.assets.etfs)}, Crypto ${fmt(s.assets.crypto)}, Super ${fmt(s.assets.super)}, Property ${fmt(s.assets.property)}, Other ${fmt(s.assets.other_assets)}`,
+    s.budget?.categories.length ? `Actual vs budget for ${s.budget.month}: ${s.budget.categories.map(budget).join(', ')}` : 'No actual spending logged; expenses above are the planned budget.',
+    `Goals (by priority): ${s.goals.map(goal).join('; ') || 'none set'}`,
+    s.equity && `Startup equity: ${fmt(s.equity.vestedValue)} vested of ${fmt(s.equity.totalValue)} at the last preferred price (exercise cost ${fmt(s.equity.exerciseCost)})`,
+    s.retirement && `Financial independence: needs ${fmt(s.retirement.fiNumber)} at a ${s.retirement.withdrawalRate}% withdrawal rate; ${s.retirement.medianAge !== null ? `50% chance by age ${s.retirement.medianAge}` : 'under 50% chance by 90'} (super unlocks at ${s.retirement.preservationAge})`,
+    `Net Worth: ${fmt(s.netWorth)}`,
+  ].filter(line => line !== null && line !== false).join('\n');
+}
+
+export const buildAnalysisPrompt = (s) => `You're a thoughtful, direct financial advisor. Analyze this wealth system. Be genuinely helpful. No fluff.
+${describeSummary(s)}
+
+Give ${INSIGHT_COUNT} insights as JSON. Each has "title" (3-5 words), "body" (2 sentences max), "type" (${INSIGHT_TYPES.join('/')}). Add "oneMove": single most important action. Add "headline": poetic 4-6 word summary.
+
+ONLY valid JSON: {"headline":"...","insights":[...],"oneMove":"..."}`;
+
+const units = {
+  income: (c) => `in ${c}`, balance: (c) => `a balance in ${c}, not a monthly amount`,
+  monthly: (c) => `${c} per month`, percent: () => 'a percentage',
+};
+
+// The summary is rebuilt from the live form on every turn, so answers track
+// edits made mid-conversation.
+export const buildChatSystem = (s) => `You're a thoughtful, direct financial advisor talking with someone about their wealth system. Answer their questions plainly and briefly, show the arithmetic when it matters, and ground every answer in these current numbers:
+${describeSummary(s)}
+
+When you recommend a concrete change to one of their setup numbers, end your reply with a fenced block:
+\`\`\`actions
+[{"field":"<field>","value":"<new number>","reason":"<why, one sentence>"}]
+\`\`\`
+Only these fields may be changed: ${ACTION_FIELDS.map(([k, l, unit]) => `${k} (${l}; ${units[unit](s.currency)})`).join(', ')}. Leave the block out when nothing should change.`;
+
+export const buildRepairPrompt = (errors) => `That reply didn't match the required format:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Reply with ONLY the corrected JSON object: exactly ${INSIGHT_COUNT} insights, each "type" one of ${INSIGHT_TYPES.join('/')}.`;
@@ -0,0 +1,194 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  grossMonthlyIncome, expenseMultiplier, monthlyExpenses, savingsRate, personFinances,
+  monthlyBudget, statusLights, retirementSpending, exitLumpSums,
+  validateForm, buildSummary, describeSummary, buildAnalysisPrompt, buildChatSystem,
+} from './finance.js';
+import { taxRules } from './tax/index.js';
+import { validateSummary } from '../../api/_lib/summary.js';
+
+const form = (over = {}) => ({
+  name: 'Sam', age: '34', currency: 'AUD', fxRates: {}, taxRegion: 'none', hasHelp: false, salarySacrifice: '',
+  income: '6000', frequency: 'monthly', cash: '10000', cashFloor: '5000', creditTarget: '500', expenseFrequency: 'monthly',
+  rent: '2000', groceries: '600', holdings: [], debts: [], grants: [], goals: [], bills: [],
+  ...over,
+});
+
+test('income converts annual and fortnightly pay to monthly', () => {
+  assert.equal(grossMonthlyIncome(form({ income: '120000', frequency: 'annual' })), 10000);
+  assert.equal(grossMonthlyIncome(form({ income: '3000', frequency: 'fortnightly' })), 6500);
+  assert.equal(grossMonthlyIncome(form({ income: '6000', frequency: 'monthly' })), 6000);
+});
+
+test('expenses scale by entry frequency', () => {
+  assert.equal(expenseMultiplier('weekly'), 4.33);
+  assert.equal(expenseMultiplier('fortnightly'), 2.17);
+  assert.equal(expenseMultiplier('monthly'), 1);
+  assert.equal(monthlyExpenses(form({ rent: '500', groceries: '100', expenseFrequency: 'weekly' })), 600 * 4.33);
+});
+
+test('savings rate is zero without income', () => {
+  assert.equal(savingsRate(0, -500), 0);
+  assert.equal(savingsRate(4000, 1000), 25);
+});
+
+test('personFinances derives surplus, rate and net worth', () => {
+  const f = personFinances(form({
+    holdings: [{ cls: 'etfs', units: '10', price: '100', value: '', currency: '' }, { cls: 'super', value: '20000', currency: '' }],
+    debts: [{ type: 'card', balance: '800' }, { type: 'car', balance: '5000' }],
+  }));
+  assert.equal(f.monthlyIncome, 6000);
+  assert.equal(f.expenses, 2600);
+  assert.equal(f.surplus, 3400);
+  assert.ok(Math.abs(f.rate - 3400 / 6000 * 100) < 1e-9);
+  assert.equal(f.totals.etfs, 1000);
+  assert.equal(f.cardBalance, 800);
+  assert.equal(f.totalDebt, 5800);
+  assert.equal(f.netWorth, 10000 + 1000 + 20000 - 5800);
+});
+
+test('personFinances converts holdings into the base currency', () => {
+  const f = personFinances(form({ fxRates: { USD: '1.5' }, holdings: [{ cls: 'etfs', value: '1000', currency: 'USD' }] }));
+  assert.equal(f.totals.etfs, 1500);
+});
+
+test('personFinances uses take-home pay under a tax region', () => {
+  const f = personFinances(form({ taxRegion: 'au', income: '100000', frequency: 'annual' }));
+  assert.equal(f.grossMonthly, 100000 / 12);
+  assert.ok(f.monthlyIncome < f.grossMonthly);
+  assert.ok(f.pay.super.net > 0);
+});
+
+test('personFinances copes with an empty form', () => {
+  const f = personFinances({ holdings: [], debts: [] });
+  for (const v of [f.monthlyIncome, f.expenses, f.surplus, f.rate, f.netWorth]) assert.ok(Number.isFinite(v));
+});
+
+test('monthlyBudget scales each category by entry frequency', () => {
+  const b = monthlyBudget(form({ expenseFrequency: 'weekly', rent: '500', groceries: 'abc' }));
+  assert.equal(b.rent, 500 * 4.33);
+  assert.equal(b.groceries, 0);
+  assert.equal(b.dining, 0);
+});
+
+test('statusLights checks cash floor, card target, payoff and rate', () => {
+  const feasible = { feasible: true };
+  assert.deepEqual(statusLights(form(), personFinances(form()), feasible), { cash: true, debt: true, rate: true });
+  assert.equal(statusLights(form({ cash: '4000' }), personFinances(form({ cash: '4000' })), feasible).cash, false);
+  assert.equal(statusLights(form({ cash: '0', cashFloor: '' }), personFinances(form({ cash: '0', cashFloor: '' })), feasible).cash, true);
+  const card = form({ debts: [{ type: 'card', balance: '800', rate: '20', minPayment: '' }] });
+  assert.equal(statusLights(card, personFinances(card), { feasible: false }).debt, false);
+  const swept = form({ debts: [{ type: 'card', balance: '400', rate: '20', minPayment: '' }] });
+  assert.equal(statusLights(swept, personFinances(swept), { feasible: false }).debt, true);
+  const loan = form({ debts: [{ type: 'loan', balance: '10000', rate: '30', minPayment: '10' }] });
+  assert.equal(statusLights(loan, personFinances(loan), { feasible: false }).debt, false);
+  assert.equal(statusLights(form({ income: '3000' }), personFinances(form({ income: '3000' })), feasible).rate, false);
+});
+
+test('retirementSpending defaults to a year of current spending', () => {
+  assert.equal(retirementSpending(form(), 2600), 31200);
+  assert.equal(retirementSpending(form({ fiSpending: '40000' }), 2600), 40000);
+});
+
+test('exitLumpSums adds the after-tax exit only when opted in', () => {
+  const grants = [{ type: 'option', shares: '1000', strike: '1', preferred: '5' }];
+  const equity = { exitYear: '3', exitMultiple: '2', dilution: '20', equityTaxRate: '25' };
+  assert.deepEqual(exitLumpSums(form(equity), grants), []);
+  assert.deepEqual(exitLumpSums(form({ ...equity, equityInProjection: true }), []), []);
+  // 1000 shares at 5 × 2 less 20% dilution is 8000, less 1000 strike and 25% tax.
+  assert.deepEqual(exitLumpSums(form({ ...equity, equityInProjection: true }), grants), [{ year: 3, amount: 5250 }]);
+});
+
+test('validateForm accepts a clean form', () => {
+  assert.deepEqual(validateForm(form()), []);
+});
+
+test('validateForm flags commas, negatives and out-of-range values', () => {
+  const errors = validateForm(form({ income: '140,000', cash: '-5', horizon: '90', age: '3.5' }));
+  const by = Object.fromEntries(errors.map(e => [e.field, e.message]));
+  assert.match(by.income, /no commas/);
+  assert.match(by.cash, /negative/);
+  assert.match(by.horizon, /at most 40/);
+  assert.ok(by.age);
+});
+
+test('validateForm checks list items and dates', () => {
+  const errors = validateForm(form({
+    debts: [{ name: 'Visa', balance: 'lots', rate: '-1', minPayment: '' }],
+    goals: [{ name: '', target: '5000', date: '2026-13-01' }],
+  }));
+  assert.deepEqual(errors.map(e => e.field), ['debts[0].balance', 'goals[0].date']);
+  assert.match(errors[0].message, /Debt "Visa" balance/);
+});
+
+test('validateForm rejects dates that do not exist', () => {
+  const errors = validateForm(form({
+    goals: [{ target: '5000', date: '2026-02-31' }],
+    bills: [{ amount: '50', due: '2026-04-31' }],
+    nextPayday: '2025-02-29',
+  }));
+  assert.deepEqual(errors.map(e => e.field), ['goals[0].date', 'bills[0].due', 'nextPayday']);
+  assert.deepEqual(validateForm(form({ goals: [{ target: '5000', date: '2028-02-29' }] })), []);
+});
+
+const parts = (f, over = {}) => ({
+  finances: f, taxRegion: null, payoff: { feasible: true, months: 0 }, grants: [], equity: null,
+  goalPlan: { goals: [] }, retirement: null, budgetMonth: null, ...over,
+});
+
+test('buildSummary produces what the server accepts', () => {
+  const fm = form({ taxRegion: 'au', debts: [{ type: 'card', name: '', balance: '800', rate: '20' }] });
+  const summary = buildSummary(fm, parts(personFinances(fm), { taxRegion: taxRules('au'), payoff: { feasible: false } }));
+  assert.equal(summary.debts[0].name, 'Credit card');
+  assert.equal(summary.debtFreeMonths, null);
+  const { errors } = validateSummary(summary);
+  assert.equal(errors, undefined);
+});
+
+test('buildSummary combines debts past the server limit', () => {
+  const debts = Array.from({ length: 25 }, (_, i) => ({ type: 'personal', name: `Loan ${i + 1}`, balance: String((i + 1) * 100), rate: i < 5 ? '10' : '20' }));
+  const fm = form({ debts });
+  const summary = buildSummary(fm, parts(personFinances(fm)));
+  assert.equal(summary.debts.length, 20);
+  assert.equal(summary.debts[0].name, 'Loan 25');
+  const other = summary.debts[19];
+  assert.equal(other.name, '6 smaller debts');
+  assert.equal(other.balance, 2100);
+  assert.ok(Math.abs(other.rate - (10 * 1500 + 20 * 600) / 2100) < 1e-9);
+  assert.equal(summary.debts.reduce((a, d) => a + d.balance, 0), 32500);
+  assert.equal(validateSummary(summary).errors, undefined);
+});
+
+test('buildSummary accepts a numeric age from an imported file', () => {
+  const fm = form({ age: 34 });
+  const summary = buildSummary(fm, parts(personFinances(fm)));
+  assert.equal(summary.age, '34');
+  assert.equal(validateSummary(summary).errors, undefined);
+});
+
+test('describeSummary states the numbers and skips empty sections', () => {
+  const fm = form();
+  const text = describeSummary(buildSummary(fm, parts(personFinances(fm))));
+  assert.match(text, /Surplus: A\$3,400\/month/);
+  assert.match(text, /Debts: none/);
+  assert.match(text, /Goals \(by priority\): none set/);
+  assert.doesNotMatch(text, /Startup equity|Financial independence|null|false/);
+});
+
+test('prompts embed the summary', () => {
+  const fm = form();
+  const s = buildSummary(fm, parts(personFinances(fm)));
+  assert.ok(buildAnalysisPrompt(s).includes(describeSummary(s)));
+  assert.ok(buildChatSystem(s).includes('```actions'));
+});
+
+test('chat prompt gives each editable field its own unit', () => {
+  const fm = form();
+  const system = buildChatSystem(buildSummary(fm, parts(personFinances(fm))));
+  assert.match(system, /cash \(cash balance; a balance in AUD, not a monthly amount\)/);
+  assert.match(system, /creditTarget \(credit card target; a balance in AUD, not a monthly amount\)/);
+  assert.match(system, /rent \(rent\/mortgage; AUD per month\)/);
+  assert.match(system, /investShare \(% of surplus invested; a percentage\)/);
+  assert.doesNotMatch(system, /Values are monthly amounts/);
+});
@@ -0,0 +1,61 @@
+// Savings goals: what each one still needs per month to land by its date,
+// and whether the current surplus covers it once higher-priority goals have
+// taken their share.
+
+import { uid } from './holdings.js';
+import { parseDate, isoDate } from './payCycle.js';
+import { monthsElapsed } from './equity.js';
+import { num } from './num.js';
+
+export const priorities = [['high', 'High'], ['medium', 'Medium'], ['low', 'Low']];
+export const goalStatuses = ['done', 'on_track', 'behind'];
+
+export const newGoal = () => ({ id: uid(), name: '', target: '', date: '', source: 'cash', priority: 'medium' });
+
+// Monthly contributions left before the date; a goal due later this month
+// still gets one, as does one due today. Blank or past dates give 0.
+export function monthsLeft(date, today = new Date()) {
+  const due = parseDate(date);
+  const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  if (!due || due < start) return 0;
+  return Math.max(1, monthsElapsed(start, due));
+}
+
+// Per-month amount to close `remaining` by the date; everything at once when
+// the date has passed.
+export const requiredMonthly = (remaining, months) => Math.max(0, remaining) / Math.max(1, months);
+
+const rank = (g) => priorities.findIndex(([k]) => k === g.priority);
+
+// `balances` maps a source key ('cash', 'etfs' or a holding id) to what it
+// holds today. Goals sharing a source draw on it in priority order, then
+// each takes its required monthly amount from what's left of the surplus.
+// Goals without a date are open-ended and share whatever is left over.
+export function planGoals(goals, { balances, surplus, today = new Date() }) {
+  const left = { ...balances };
+  let free = Math.max(0, surplus);
+  const ordered = goals
+    .map((g, i) => ({ g, i }))
+    .sort((a, b) => rank(a.g) - rank(b.g) || (a.g.date || '9999').localeCompare(b.g.date || '9999') || a.i - b.i);
+
+  const planned = ordered.map(({ g }) => {
+    const target = num(g.target);
+    const current = Math.min(target, Math.max(0, left[g.source] || 0));
+    left[g.source] = (left[g.source] || 0) - current;
+    const remaining = target - current;
+    const months = monthsLeft(g.date, today);
+    const required = g.date ? requiredMonthly(remaining, months) : 0;
+    const allocated = Math.min(g.date ? required : Math.max(0, remaining), free);
+    free -= allocated;
+    const status = remaining <= 0 ? 'done'
+      : g.date ? (months > 0 && allocated >= required - 0.5 ? 'on_track' : 'behind')
+      : allocated > 0 ? 'on_track' : 'behind';
+    // The month this goal lands at its current allocation.
+    const reachBy = remaining <= 0 ? null : allocated > 0
+      ? isoDate(new Date(today.getFullYear(), today.getMonth() + Math.ceil(remaining / allocated), 1))
+      : null;
+    return { id: g.id, name: g.name, target, current, remaining, months, required, allocated, status, reachBy };
+  });
+
+  return { goals: planned, unallocated: free };
+}
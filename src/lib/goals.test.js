@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { monthsLeft, requiredMonthly, planGoals } from './goals.js';
+
+const today = new Date(2026, 0, 15);
+const goal = (over) => ({ id: over.name, source: 'cash', priority: 'medium', date: '', ...over });
+
+test('monthsLeft gives at least one month for a future date and none for past or blank', () => {
+  assert.equal(monthsLeft('2026-12-15', today), 11);
+  assert.equal(monthsLeft('2026-01-20', today), 1);
+  assert.equal(monthsLeft('2025-12-01', today), 0);
+  assert.equal(monthsLeft('', today), 0);
+});
+
+test('a goal due today is not past due, whatever the time', () => {
+  assert.equal(monthsLeft('2026-01-15', new Date(2026, 0, 15, 18, 30)), 1);
+  assert.equal(monthsLeft('2026-01-14', new Date(2026, 0, 15, 0, 1)), 0);
+});
+
+test('requiredMonthly spreads what remains, all at once when overdue', () => {
+  assert.equal(requiredMonthly(1200, 12), 100);
+  assert.equal(requiredMonthly(1200, 0), 1200);
+  assert.equal(requiredMonthly(-50, 3), 0);
+});
+
+test('goals draw on a shared source in priority order', () => {
+  const { goals } = planGoals([
+    goal({ name: 'trip', target: '3000', priority: 'low' }),
+    goal({ name: 'buffer', target: '4000', priority: 'high' }),
+  ], { balances: { cash: 5000 }, surplus: 0, today });
+  const by = Object.fromEntries(goals.map(g => [g.name, g]));
+  assert.equal(by.buffer.current, 4000);
+  assert.equal(by.buffer.status, 'done');
+  assert.equal(by.trip.current, 1000);
+  assert.equal(by.trip.status, 'behind');
+});
+
+test('dated goals take their required amount; open-ended goals share the rest', () => {
+  const plan = planGoals([
+    goal({ name: 'car', target: '1100', date: '2026-12-15', priority: 'high' }),
+    goal({ name: 'house', target: '50000' }),
+  ], { balances: { cash: 0 }, surplus: 500, today });
+  const [car, house] = plan.goals;
+  assert.equal(car.required, 100);
+  assert.equal(car.allocated, 100);
+  assert.equal(car.status, 'on_track');
+  assert.equal(car.reachBy, '2026-12-01');
+  assert.equal(house.allocated, 400);
+  assert.equal(house.status, 'on_track');
+  assert.equal(plan.unallocated, 0);
+});
+
+test('a short surplus leaves lower-priority goals behind', () => {
+  const { goals, unallocated } = planGoals([
+    goal({ name: 'a', target: '1100', date: '2026-12-15', priority: 'high' }),
+    goal({ name: 'b', target: '1100', date: '2026-12-15', priority: 'low' }),
+  ], { balances: {}, surplus: 150, today });
+  assert.deepEqual(goals.map(g => g.status), ['on_track', 'behind']);
+  assert.equal(goals[1].allocated, 50);
+  assert.equal(unallocated, 0);
+});
+
+test('a negative surplus allocates nothing', () => {
+  const { goals } = planGoals([goal({ name: 'a', target: '100' })], { balances: {}, surplus: -200, today });
+  assert.equal(goals[0].allocated, 0);
+  assert.equal(goals[0].reachBy, null);
+});
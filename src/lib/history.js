@@ -0,0 +1,15 @@
+// Dated balance snapshots. One per day: checking in twice on the same day
+// replaces the earlier snapshot rather than adding a duplicate point.
+
+export const snapshotFields = [
+  ['cash', 'Cash'], ['credit', 'Credit cards'], ['debt', 'Total debt'], ['etfs', 'ETFs'], ['crypto', 'Crypto'],
+  ['super', 'Super'], ['property', 'Property'], ['other_assets', 'Other'],
+  ['netWorth', 'Net worth'], ['rate', 'Savings rate'],
+];
+
+export const recordSnapshot = (history, snapshot) =>
+  [...history.filter(h => h.date !== snapshot.date), snapshot].sort((a, b) => a.date.localeCompare(b.date));
+
+export const compareSnapshots = (from, to) => snapshotFields.map(([key, label]) => ({
+  key, label, from: from[key] ?? 0, to: to[key] ?? 0, delta: (to[key] ?? 0) - (from[key] ?? 0),
+}));
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { snapshotFields, recordSnapshot, compareSnapshots } from './history.js';
+
+test('recordSnapshot keeps snapshots in date order', () => {
+  const history = recordSnapshot([{ date: '2026-01-01', cash: 1 }, { date: '2026-03-01', cash: 3 }], { date: '2026-02-01', cash: 2 });
+  assert.deepEqual(history.map(h => h.date), ['2026-01-01', '2026-02-01', '2026-03-01']);
+});
+
+test('checking in twice on one day replaces the earlier snapshot', () => {
+  const history = recordSnapshot([{ date: '2026-01-01', cash: 1 }], { date: '2026-01-01', cash: 5 });
+  assert.deepEqual(history, [{ date: '2026-01-01', cash: 5 }]);
+});
+
+test('recordSnapshot leaves the existing history untouched', () => {
+  const before = [{ date: '2026-01-01', cash: 1 }];
+  recordSnapshot(before, { date: '2026-01-01', cash: 5 });
+  assert.deepEqual(before, [{ date: '2026-01-01', cash: 1 }]);
+});
+
+test('compareSnapshots lists every field with its change', () => {
+  const rows = compareSnapshots({ cash: 1000, netWorth: 5000 }, { cash: 1500, netWorth: 4000, crypto: 200 });
+  assert.deepEqual(rows.map(r => r.key), snapshotFields.map(([k]) => k));
+  assert.deepEqual(rows.find(r => r.key === 'cash'), { key: 'cash', label: 'Cash', from: 1000, to: 1500, delta: 500 });
+  assert.equal(rows.find(r => r.key === 'netWorth').delta, -1000);
+  // Fields missing from older snapshots count as zero.
+  assert.deepEqual(rows.find(r => r.key === 'crypto'), { key: 'crypto', label: 'Crypto', from: 0, to: 200, delta: 200 });
+});
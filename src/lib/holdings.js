@@ -0,0 +1,39 @@
+// Itemised holdings. Every asset class is a list of line items; a holding's
+// value is units × price when both are known, otherwise the entered value.
+
+import { num } from './num.js';
+
+export const holdingClasses = [
+  ['etfs', 'Stocks/ETFs', 'ETFs'], ['crypto', 'Crypto', 'Crypto'], ['super', '401k/Super', 'Super'],
+  ['property', 'Property', 'Property'], ['other_assets', 'Other', 'Other'],
+];
+
+export const uid = () => Math.random().toString(36).slice(2, 10);
+
+export const newHolding = (cls) => ({ id: uid(), cls, name: '', account: '', units: '', price: '', value: '', costBasis: '', currency: '', shared: false });
+
+export const holdingValue = (h) => num(h.units) && num(h.price) ? num(h.units) * num(h.price) : num(h.value);
+
+// `toBase(amount, currency)` converts a holding's own currency to the base.
+export const classTotals = (holdings, toBase) => Object.fromEntries(holdingClasses.map(([cls]) => [
+  cls, holdings.filter(h => h.cls === cls).reduce((a, h) => a + toBase(holdingValue(h), h.currency), 0),
+]));
+
+export const allocation = (totals) => {
+  const sum = Object.values(totals).reduce((a, v) => a + Math.max(0, v), 0);
+  return Object.fromEntries(Object.entries(totals).map(([k, v]) => [k, sum > 0 ? Math.max(0, v) / sum * 100 : 0]));
+};
+
+// Forms saved before holdings were itemised kept one number per class
+// (`etfs`, `crypto`, ...) plus an optional `<class>Currency`.
+export function migrateLegacyAssets(form) {
+  if (Array.isArray(form.holdings)) return form;
+  const rest = { ...form };
+  const holdings = [];
+  for (const [cls, label] of holdingClasses) {
+    if (num(rest[cls]) > 0) holdings.push({ ...newHolding(cls), name: label, value: rest[cls], currency: rest[cls + 'Currency'] || '' });
+    delete rest[cls];
+    delete rest[cls + 'Currency'];
+  }
+  return { ...rest, holdings };
+}
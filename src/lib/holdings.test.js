@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { holdingClasses, newHolding, holdingValue, classTotals, allocation, migrateLegacyAssets } from './holdings.js';
+
+const holding = (over = {}) => ({ ...newHolding('etfs'), ...over });
+
+test('holdingValue prefers units × price over the entered value', () => {
+  assert.equal(holdingValue(holding({ units: '10', price: '12.5', value: '999' })), 125);
+  assert.equal(holdingValue(holding({ units: '10', price: '', value: '999' })), 999);
+  assert.equal(holdingValue(holding({ units: 'abc', price: '5', value: '' })), 0);
+});
+
+test('classTotals sums each class through the conversion', () => {
+  const holdings = [
+    holding({ value: '1000' }),
+    holding({ value: '500', currency: 'USD' }),
+    holding({ cls: 'crypto', units: '2', price: '100' }),
+  ];
+  const toBase = (amount, currency) => currency === 'USD' ? amount * 1.5 : amount;
+  const totals = classTotals(holdings, toBase);
+  assert.deepEqual(Object.keys(totals), holdingClasses.map(([c]) => c));
+  assert.equal(totals.etfs, 1750);
+  assert.equal(totals.crypto, 200);
+  assert.equal(totals.property, 0);
+});
+
+test('allocation ignores negative totals and copes with nothing held', () => {
+  assert.deepEqual(allocation({ etfs: 300, crypto: 100, other_assets: -50 }), { etfs: 75, crypto: 25, other_assets: 0 });
+  assert.deepEqual(allocation({ etfs: 0, crypto: 0 }), { etfs: 0, crypto: 0 });
+});
+
+test('migrateLegacyAssets turns per-class numbers into holdings', () => {
+  const form = migrateLegacyAssets({ name: 'Sam', etfs: '5000', etfsCurrency: 'USD', crypto: '0', super: '20000' });
+  assert.equal(form.name, 'Sam');
+  for (const key of ['etfs', 'etfsCurrency', 'crypto', 'super']) assert.ok(!(key in form), key);
+  assert.deepEqual(form.holdings.map(({ cls, name, value, currency }) => ({ cls, name, value, currency })), [
+    { cls: 'etfs', name: 'Stocks/ETFs', value: '5000', currency: 'USD' },
+    { cls: 'super', name: '401k/Super', value: '20000', currency: '' },
+  ]);
+  assert.ok(form.holdings.every(h => h.id));
+});
+
+test('migrateLegacyAssets leaves an itemised form alone', () => {
+  const form = { holdings: [], etfs: '5000' };
+  assert.equal(migrateLegacyAssets(form), form);
+});
@@ -0,0 +1,72 @@
+// Household view over several profiles. Jointly owned holdings and debts are
+// entered once, on any member's profile, and marked shared; shared monthly
+// costs live on the household. Both are attributed to members by the split.
+
+import { holdingValue } from './holdings.js';
+import { num } from './num.js';
+import { personFinances } from './finance.js';
+
+export const defaultHousehold = { memberIds: [], split: {}, expenses: {}, fxRates: {} };
+
+// Members' base currencies other than the household's, each needing a rate
+// in `household.fxRates` to be combined.
+export const memberCurrencies = (profiles, base) =>
+  [...new Set(profiles.map(p => p.form.currency).filter(c => c && c !== base))];
+
+const sum = (xs) => xs.reduce((a, v) => a + v, 0);
+
+// Each member's fraction of shared items. Blank or zero ratios split evenly.
+export function splitShares(memberIds, split) {
+  const raw = memberIds.map(id => Math.max(0, num(split[id])));
+  const total = sum(raw);
+  return Object.fromEntries(memberIds.map((id, i) => [id, total > 0 ? raw[i] / total : 1 / memberIds.length]));
+}
+
+// Ratios proportional to take-home pay, as whole percentages.
+export function splitByIncome(profiles) {
+  const incomes = profiles.map(p => Math.max(0, personFinances(p.form).monthlyIncome));
+  const total = sum(incomes);
+  return Object.fromEntries(profiles.map((p, i) => [p.id, String(total > 0 ? Math.round(incomes[i] / total * 100) : Math.round(100 / profiles.length))]));
+}
+
+// `toHousehold(amount, currency)` converts a member's figures into the
+// household currency.
+export function combineHousehold(profiles, household, toHousehold) {
+  const shares = splitShares(profiles.map(p => p.id), household.split);
+  const sharedExpenses = sum(Object.values(household.expenses).map(num));
+
+  const members = profiles.map(p => {
+    const f = personFinances(p.form);
+    const into = (n) => toHousehold(n, p.form.currency);
+    const sharedAssets = sum(p.form.holdings.filter(h => h.shared).map(h => f.toBase(holdingValue(h), h.currency)));
+    const sharedDebts = sum(p.form.debts.filter(d => d.shared).map(d => num(d.balance)));
+    return {
+      p,
+      income: into(f.monthlyIncome), ownExpenses: into(f.expenses),
+      ownAssets: into(f.netWorth + f.totalDebt - sharedAssets), ownDebts: into(f.totalDebt - sharedDebts),
+      sharedAssets: into(sharedAssets), sharedDebts: into(sharedDebts),
+    };
+  });
+  const pool = { assets: sum(members.map(m => m.sharedAssets)), debts: sum(members.map(m => m.sharedDebts)) };
+
+  const people = members.map(m => {
+    const share = shares[m.p.id];
+    const expenses = m.ownExpenses + sharedExpenses * share;
+    const surplus = m.income - expenses;
+    return {
+      id: m.p.id, share, income: m.income, ownExpenses: m.ownExpenses, sharedExpenses: sharedExpenses * share, expenses, surplus,
+      rate: m.income > 0 ? surplus / m.income * 100 : 0,
+      ownAssets: m.ownAssets, sharedAssets: pool.assets * share, ownDebts: m.ownDebts, sharedDebts: pool.debts * share,
+      netWorth: m.ownAssets + pool.assets * share - m.ownDebts - pool.debts * share,
+    };
+  });
+
+  const income = sum(people.map(p => p.income)), expenses = sum(people.map(p => p.expenses));
+  return {
+    people, sharedExpenses, income, expenses, surplus: income - expenses,
+    rate: income > 0 ? (income - expenses) / income * 100 : 0,
+    assets: { own: sum(people.map(p => p.ownAssets)), shared: pool.assets },
+    debts: { own: sum(people.map(p => p.ownDebts)), shared: pool.debts },
+    netWorth: sum(people.map(p => p.netWorth)),
+  };
+}
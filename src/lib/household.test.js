@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { memberCurrencies, splitShares, splitByIncome, combineHousehold } from './household.js';
+import { convert } from './currency.js';
+
+const profile = (id, over = {}) => ({
+  id, form: { currency: 'AUD', fxRates: {}, taxRegion: 'none', income: '4000', frequency: 'monthly', rent: '1000', holdings: [], debts: [], ...over },
+});
+
+test('blank ratios split evenly', () => {
+  assert.deepEqual(splitShares(['a', 'b'], {}), { a: 0.5, b: 0.5 });
+  assert.deepEqual(splitShares(['a', 'b'], { a: '3', b: '1' }), { a: 0.75, b: 0.25 });
+});
+
+test('splitByIncome gives whole percentages of take-home pay', () => {
+  assert.deepEqual(splitByIncome([profile('a', { income: '6000' }), profile('b', { income: '2000' })]), { a: '75', b: '25' });
+  assert.deepEqual(splitByIncome([profile('a', { income: '' }), profile('b', { income: '' })]), { a: '50', b: '50' });
+});
+
+test('shared items are counted once and split', () => {
+  const a = profile('a', {
+    holdings: [{ cls: 'property', value: '500000', shared: true }, { cls: 'etfs', value: '10000', shared: false }],
+    debts: [{ type: 'mortgage', balance: '400000', shared: true }],
+  });
+  const h = combineHousehold([a, profile('b')], { split: { a: '1', b: '1' }, expenses: { rent: '1000' } }, (n) => n);
+  assert.equal(h.assets.shared, 500000);
+  assert.equal(h.debts.shared, 400000);
+  assert.equal(h.people[1].sharedAssets, 250000);
+  assert.equal(h.people[0].netWorth, 10000 + 50000);
+  assert.equal(h.netWorth, 110000);
+  assert.equal(h.sharedExpenses, 1000);
+  assert.equal(h.expenses, 3000);
+  assert.equal(h.surplus, 5000);
+});
+
+test('member figures convert into the household currency', () => {
+  const h = combineHousehold([profile('a', { currency: 'USD' })], { split: {}, expenses: {} }, (n, c) => c === 'USD' ? n * 1.5 : n);
+  assert.equal(h.income, 6000);
+});
+
+test('memberCurrencies lists other base currencies once', () => {
+  assert.deepEqual(memberCurrencies([profile('a'), profile('b', { currency: 'USD' }), profile('c', { currency: 'USD' })], 'AUD'), ['USD']);
+  assert.deepEqual(memberCurrencies([profile('a')], 'AUD'), []);
+});
+
+test('household rates convert each member\'s cash into the base', () => {
+  const members = [profile('a', { cash: '100000', income: '', rent: '' }), profile('b', { currency: 'USD', cash: '100000', income: '', rent: '' })];
+  const combined = (fxRates) => combineHousehold(members, { split: {}, expenses: {} }, (n, c) => convert(n, c, 'AUD', fxRates)).netWorth;
+  assert.equal(combined({}), 200000);
+  assert.equal(combined({ USD: '1.5' }), 250000);
+});
@@ -0,0 +1,4 @@
+// Form fields are strings; blank or unparseable counts as zero. Kept in a
+// module of its own because nearly every other one uses it.
+
+export const num = (v) => parseFloat(v) || 0;
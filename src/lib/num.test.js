@@ -0,0 +1,10 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { num } from './num.js';
+
+test('num reads blank and junk as zero', () => {
+  assert.equal(num(''), 0);
+  assert.equal(num(undefined), 0);
+  assert.equal(num('abc'), 0);
+  assert.equal(num('12.5'), 12.5);
+});
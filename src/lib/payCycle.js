@@ -0,0 +1,68 @@
+// Pay-cycle engine: on every payday, cash is topped back up to the floor,
+// the card is paid down to its target, and whatever is left is swept into
+// investments. Day-to-day spending is assumed to run through the card.
+
+export const cyclesPerYear = { weekly: 52, fortnightly: 26, monthly: 12 };
+
+export const parseDate = (iso) => {
+  const [y, m, d] = String(iso).split('-').map(Number);
+  if (!y || !m || !d) return null;
+  return new Date(y, m - 1, d);
+};
+
+export const isoDate = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+export const addCycle = (date, frequency, n = 1) => {
+  if (frequency === 'monthly') {
+    const target = new Date(date.getFullYear(), date.getMonth() + n, 1);
+    const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+    return new Date(target.getFullYear(), target.getMonth(), Math.min(date.getDate(), lastDay));
+  }
+  const days = frequency === 'weekly' ? 7 : 14;
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days * n);
+};
+
+// Paydays from `nextPayday` onward, skipping any that are already behind `today`.
+export const upcomingPaydays = (nextPayday, frequency, count, today = new Date()) => {
+  const first = parseDate(nextPayday);
+  if (!first || !cyclesPerYear[frequency]) return [];
+  const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  let i = 0;
+  while (addCycle(first, frequency, i) < start) i++;
+  return Array.from({ length: count }, (_, k) => addCycle(first, frequency, i + k));
+};
+
+// One payday's moves: top cash back up to the floor, pay the card down to
+// target from anything above it, and invest the rest.
+export function sweep({ balance, credit, pay, cashFloor, creditTarget }) {
+  const available = balance + pay - cashFloor;
+  const toCard = Math.min(Math.max(0, credit - creditTarget), Math.max(0, available));
+  const toInvest = Math.max(0, available - toCard);
+  return { toCard, toInvest, balance: balance + pay - toCard - toInvest, credit: credit - toCard };
+}
+
+export function planPayCycles({ nextPayday, payFrequency, monthlyIncome, monthlyExpenses, cash, cashFloor, creditBalance, creditTarget, cycles = 6, today }) {
+  const perYear = cyclesPerYear[payFrequency];
+  const dates = upcomingPaydays(nextPayday, payFrequency, cycles, today);
+  if (!dates.length) return [];
+
+  const pay = monthlyIncome * 12 / perYear;
+  const spend = monthlyExpenses * 12 / perYear;
+  let balance = cash, credit = creditBalance;
+
+  return dates.map((date, i) => {
+    // Everything spent since the last payday has landed on the card.
+    if (i > 0) credit += spend;
+    const { toCard, toInvest, ...after } = sweep({ balance, credit, pay, cashFloor, creditTarget });
+    ({ balance, credit } = after);
+    return {
+      date: isoDate(date), pay, toCard, toInvest,
+      cash: balance, credit,
+      short: Math.max(0, cashFloor - balance) + Math.max(0, credit - creditTarget),
+    };
+  });
+}
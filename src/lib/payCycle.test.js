@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDate, isoDate, addCycle, upcomingPaydays, sweep, planPayCycles } from './payCycle.js';
+
+test('parseDate and isoDate round-trip; junk parses to null', () => {
+  assert.equal(isoDate(parseDate('2026-03-09')), '2026-03-09');
+  assert.equal(parseDate(''), null);
+  assert.equal(parseDate('soon'), null);
+});
+
+test('monthly cycles clamp to the end of short months', () => {
+  assert.equal(isoDate(addCycle(new Date(2026, 0, 31), 'monthly')), '2026-02-28');
+  assert.equal(isoDate(addCycle(new Date(2026, 0, 31), 'monthly', 2)), '2026-03-31');
+  assert.equal(isoDate(addCycle(new Date(2026, 0, 1), 'fortnightly')), '2026-01-15');
+});
+
+test('upcomingPaydays skips paydays already past', () => {
+  const dates = upcomingPaydays('2026-01-02', 'weekly', 2, new Date(2026, 0, 20));
+  assert.deepEqual(dates.map(isoDate), ['2026-01-23', '2026-01-30']);
+  assert.deepEqual(upcomingPaydays('', 'weekly', 2), []);
+});
+
+test('sweep tops up cash, pays the card to target, invests the rest', () => {
+  assert.deepEqual(sweep({ balance: 1000, credit: 1500, pay: 3000, cashFloor: 2000, creditTarget: 500 }), { toCard: 1000, toInvest: 1000, balance: 2000, credit: 500 });
+});
+
+test('sweep never pays the card from below the floor', () => {
+  assert.deepEqual(sweep({ balance: 0, credit: 1500, pay: 1000, cashFloor: 2000, creditTarget: 0 }), { toCard: 0, toInvest: 0, balance: 1000, credit: 1500 });
+});
+
+test('planPayCycles adds spending to the card between paydays', () => {
+  const plan = planPayCycles({
+    nextPayday: '2026-02-01', payFrequency: 'monthly', monthlyIncome: 5000, monthlyExpenses: 3000,
+    cash: 2000, cashFloor: 2000, creditBalance: 0, creditTarget: 0, cycles: 2, today: new Date(2026, 0, 15),
+  });
+  assert.equal(plan.length, 2);
+  assert.equal(plan[0].toInvest, 5000);
+  assert.equal(plan[1].toCard, 3000);
+  assert.equal(plan[1].toInvest, 2000);
+});
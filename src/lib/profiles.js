@@ -0,0 +1,14 @@
+// A profile is one person's form plus their analysis, check-in history and
+// chat. The numbers derived from a form come from finance.js.
+
+import { uid } from './holdings.js';
+
+export const newProfile = (form) => ({ id: uid(), form, analysis: null, history: [], chat: [] });
+
+export const profileName = (p, i) => p.form.name || `Profile ${i + 1}`;
+
+// The saved list with `profile` written over its stale copy, or appended if
+// it hasn't been saved yet.
+export const upsertProfile = (profiles, profile) => profiles.some(p => p.id === profile.id)
+  ? profiles.map(p => p.id === profile.id ? profile : p)
+  : [...profiles, profile];
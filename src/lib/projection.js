@@ -0,0 +1,54 @@
+// Scenario projection. Each asset class compounds monthly at its own rate,
+// the invested share of surplus lands in ETFs and super contributions in
+// super, both growing with salary once a year, one-off lump sums (an equity
+// exit) land in ETFs in their year, and results are deflated to today's
+// dollars.
+
+export const assetClasses = [['etfs', 'ETFs'], ['crypto', 'Crypto'], ['super', 'Super'], ['property', 'Property']];
+
+export const scenarioNames = ['conservative', 'expected', 'optimistic'];
+
+// Annual % returns per class, as [conservative, expected, optimistic].
+export const defaultReturns = {
+  etfs: ['4', '7', '10'],
+  crypto: ['-5', '10', '25'],
+  super: ['4', '6.5', '9'],
+  property: ['2', '4', '6'],
+};
+
+export const MAX_HORIZON = 40;
+
+export const clampHorizon = (h) => Math.min(MAX_HORIZON, Math.max(1, Math.round(h) || 5));
+
+// Lump sums land in the month nearest their year; outside the horizon they
+// never land at all.
+export const inHorizon = (year, horizon) => Math.round(year * 12) >= 1 && Math.round(year * 12) <= clampHorizon(horizon) * 12;
+
+// Four summary points spread across the horizon: 5 years gives 1/2/3/5.
+export const milestones = (horizon) =>
+  [...new Set([0.2, 0.4, 0.6, 1].map(f => Math.max(1, Math.round(horizon * f))))];
+
+export function projectScenarios({ balances, returns = defaultReturns, monthlyContribution, investShare = 0.8, superContribution = 0, salaryGrowth = 0, inflation = 0, horizon = 5, lumpSums = [] }) {
+  const years = clampHorizon(horizon);
+  const contribution = Math.max(0, monthlyContribution) * investShare;
+
+  const paths = Object.fromEntries(scenarioNames.map((name, i) => {
+    const monthly = Object.fromEntries(assetClasses.map(([k]) => [k, (parseFloat(returns[k]?.[i]) || 0) / 100 / 12]));
+    const held = Object.fromEntries(assetClasses.map(([k]) => [k, balances[k] || 0]));
+    const totals = [Object.values(held).reduce((a, v) => a + v, 0)];
+    for (let m = 1; m <= years * 12; m++) {
+      for (const [k] of assetClasses) held[k] *= 1 + monthly[k];
+      const raise = Math.pow(1 + salaryGrowth, Math.floor((m - 1) / 12));
+      held.etfs += contribution * raise;
+      held.super += superContribution * raise;
+      for (const l of lumpSums) if (Math.round(l.year * 12) === m) held.etfs += l.amount;
+      if (m % 12 === 0) totals.push(Object.values(held).reduce((a, v) => a + v, 0));
+    }
+    return [name, totals];
+  }));
+
+  return Array.from({ length: years + 1 }, (_, y) => ({
+    year: y,
+    ...Object.fromEntries(scenarioNames.map(name => [name, Math.round(paths[name][y] / Math.pow(1 + inflation, y))])),
+  }));
+}
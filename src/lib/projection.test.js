@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { clampHorizon, inHorizon, milestones, projectScenarios } from './projection.js';
+
+const flat = { etfs: ['0', '0', '0'], crypto: ['0', '0', '0'], super: ['0', '0', '0'], property: ['0', '0', '0'] };
+
+test('clampHorizon keeps years between 1 and 40', () => {
+  assert.equal(clampHorizon(0), 5);
+  assert.equal(clampHorizon(-3), 1);
+  assert.equal(clampHorizon(100), 40);
+  assert.equal(clampHorizon(NaN), 5);
+});
+
+test('milestones spread across the horizon', () => {
+  assert.deepEqual(milestones(5), [1, 2, 3, 5]);
+  assert.deepEqual(milestones(1), [1]);
+});
+
+test('contributions accumulate at zero return', () => {
+  const rows = projectScenarios({ balances: { etfs: 1000 }, returns: flat, monthlyContribution: 100, investShare: 1, horizon: 2 });
+  assert.deepEqual(rows.map(r => r.expected), [1000, 2200, 3400]);
+  assert.equal(rows.length, 3);
+});
+
+test('returns compound monthly and scenarios are ordered', () => {
+  const [, year1] = projectScenarios({ balances: { etfs: 10000 }, monthlyContribution: 0, horizon: 1 });
+  assert.equal(year1.expected, Math.round(10000 * Math.pow(1 + 0.07 / 12, 12)));
+  assert.ok(year1.conservative < year1.expected && year1.expected < year1.optimistic);
+});
+
+test('super contributions, salary growth and lump sums', () => {
+  const rows = projectScenarios({ balances: {}, returns: flat, monthlyContribution: 0, superContribution: 100, salaryGrowth: 0.1, horizon: 2, lumpSums: [{ year: 1, amount: 5000 }] });
+  assert.equal(rows[1].expected, 1200 + 5000);
+  assert.equal(rows[2].expected, 1200 + 1320 + 5000);
+});
+
+test('inHorizon tells which lump sums land', () => {
+  assert.equal(inHorizon(0, 5), false);
+  assert.equal(inHorizon(0.5, 5), true);
+  assert.equal(inHorizon(5, 5), true);
+  assert.equal(inHorizon(6, 5), false);
+  const rows = projectScenarios({ balances: {}, returns: flat, monthlyContribution: 0, horizon: 5, lumpSums: [{ year: 0, amount: 5000 }, { year: 6, amount: 5000 }] });
+  assert.equal(rows[5].expected, 0);
+});
+
+test('inflation deflates to today\'s dollars and negative surplus adds nothing', () => {
+  const rows = projectScenarios({ balances: { etfs: 1100 }, returns: flat, monthlyContribution: -500, inflation: 0.1, horizon: 1 });
+  assert.equal(rows[1].expected, 1000);
+});
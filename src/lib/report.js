@@ -0,0 +1,90 @@
+// The printable monthly report. Figures carry a unit so the same report can
+// be shown as amounts or, anonymised, relative to the person's own income,
+// spending and assets: enough to share the shape of a system for feedback
+// without revealing what anyone earns or owns.
+
+import { holdingClasses, allocation } from './holdings.js';
+import { currencies } from './currency.js';
+
+const money = (value) => ({ value, unit: 'money' });
+const pct = (value, of) => ({ value, unit: 'pct', of });
+
+// `null` when there's nothing to compare against; the view shows a dash.
+const ratio = (part, whole, unit, of) => ({ value: whole > 0 ? part / whole : null, unit, of });
+
+// `status` holds the dashboard's traffic lights for cash, debt and rate.
+export function buildReport({ name, month, finances: f, cashFloor, creditTarget, status, projection, analysis }) {
+  const shares = allocation(f.totals);
+  const assets = holdingClasses.filter(([cls]) => f.totals[cls] > 0).map(([cls, , label]) => ({
+    key: cls, label, value: money(f.totals[cls]), share: pct(shares[cls]),
+  }));
+  return {
+    name, month, anonymised: false, status,
+    netWorth: money(f.netWorth), rate: pct(f.rate),
+    income: money(f.monthlyIncome), expenses: money(f.expenses), surplus: money(f.surplus),
+    cash: money(f.cash), cashFloor: money(cashFloor),
+    debt: money(f.totalDebt), cardBalance: money(f.cardBalance), creditTarget: money(creditTarget),
+    assets, totalAssets: money(assets.reduce((a, r) => a + r.value.value, 0)),
+    projection: { unit: 'money', rows: projection },
+    analysis: analysis ? { headline: analysis.headline, insights: analysis.insights || [], oneMove: analysis.oneMove } : null,
+  };
+}
+
+const NUMBER = String.raw`\d[\d,]*(?:\.\d+)?`;
+const SCALE = String.raw`(?:[kKmM]|bn)\b|\s(?:thousand|million|billion|dollars|bucks)\b`;
+const CODES = currencies.join('|');
+
+// Anything that reads as an amount: a currency symbol or code with a number,
+// a number with a scale or "dollars", and any number of four or more digits.
+// Percentages and small counts ("3 months", "2 cards") are kept.
+const MONEY = new RegExp([
+  String.raw`(?:\b(?:${CODES})\s?)?(?:\b[A-Z]{1,2})?[$£€]\s?${NUMBER}(?:${SCALE})?`,
+  String.raw`\b(?:${CODES})\s?${NUMBER}(?:${SCALE})?`,
+  String.raw`\b${NUMBER}(?:${SCALE})`,
+  String.raw`\b\d{1,3}(?:,\d{3})+(?:\.\d+)?\b(?!\s?%)`,
+  String.raw`\b\d{4,}(?:\.\d+)?\b(?!\s?%)`,
+].join('|'), 'g');
+
+const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Claude's take quotes figures and sometimes the name.
+export function redact(text, name) {
+  if (!text) return text;
+  let out = text.replace(MONEY, '[amount]');
+  for (const word of (name || '').split(/\s+/).filter(w => w.length > 1)) {
+    out = out.replace(new RegExp(`\\b${escape(word)}\\b`, 'gi'), '[name]');
+  }
+  return out;
+}
+
+// Amounts become months of spending, shares of income or assets, and
+// multiples of annual take-home; the projection is indexed to today.
+export function anonymiseReport(r) {
+  const income = r.income.value, expenses = r.expenses.value, assets = r.totalAssets.value;
+  const start = r.projection.rows[0]?.expected || 0;
+  return {
+    ...r, name: null, anonymised: true,
+    netWorth: ratio(r.netWorth.value, income * 12, 'x', 'annual take-home'),
+    income: ratio(income * 100, income, 'pct', 'of income'),
+    expenses: ratio(expenses * 100, income, 'pct', 'of income'),
+    surplus: ratio(r.surplus.value * 100, income, 'pct', 'of income'),
+    cash: ratio(r.cash.value, expenses, 'months', 'of spending'),
+    cashFloor: ratio(r.cashFloor.value, expenses, 'months', 'of spending'),
+    debt: ratio(r.debt.value * 100, assets, 'pct', 'of assets'),
+    cardBalance: ratio(r.cardBalance.value * 100, expenses, 'pct', 'of monthly spending'),
+    creditTarget: ratio(r.creditTarget.value * 100, expenses, 'pct', 'of monthly spending'),
+    assets: r.assets.map(a => ({ ...a, value: a.share })),
+    totalAssets: ratio(assets, income * 12, 'x', 'annual take-home'),
+    projection: {
+      unit: 'x',
+      rows: r.projection.rows.map(({ year, ...scenarios }) => ({
+        year, ...Object.fromEntries(Object.entries(scenarios).map(([k, v]) => [k, start > 0 ? v / start : null])),
+      })),
+    },
+    analysis: r.analysis && {
+      headline: redact(r.analysis.headline, r.name),
+      insights: r.analysis.insights.map(i => ({ ...i, title: redact(i.title, r.name), body: redact(i.body, r.name) })),
+      oneMove: redact(r.analysis.oneMove, r.name),
+    },
+  };
+}
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildReport, anonymiseReport, redact } from './report.js';
+
+const finances = {
+  monthlyIncome: 5000, expenses: 2000, surplus: 3000, rate: 60, cash: 6000, cardBalance: 500, totalDebt: 20000, netWorth: 60000,
+  totals: { etfs: 30000, crypto: 0, super: 50000, property: 0, other_assets: 0 },
+};
+const report = buildReport({
+  name: 'Sam Lee', month: '2026-10', finances, cashFloor: 4000, creditTarget: 1000,
+  status: { cash: true, debt: true, rate: true },
+  projection: [{ year: 0, conservative: 80000, expected: 80000, optimistic: 80000 }, { year: 1, conservative: 88000, expected: 96000, optimistic: 104000 }],
+  analysis: { headline: 'Sam is $6,000 from calm', insights: [{ title: 'Cash', body: 'Sam\'s buffer covers 3 months at 60%.', type: 'celebrate' }], oneMove: 'Move A$1.5k to ETFs.' },
+});
+
+test('the report lists non-zero asset classes with their share', () => {
+  assert.deepEqual(report.assets.map(a => [a.label, a.value.value, a.share.value]), [['ETFs', 30000, 37.5], ['Super', 50000, 62.5]]);
+  assert.equal(report.totalAssets.value, 80000);
+  assert.equal(report.netWorth.unit, 'money');
+});
+
+test('anonymising drops the name and every absolute amount', () => {
+  const a = anonymiseReport(report);
+  assert.equal(a.name, null);
+  const figures = [a.netWorth, a.rate, a.income, a.expenses, a.surplus, a.cash, a.cashFloor, a.debt, a.cardBalance, a.creditTarget, a.totalAssets, ...a.assets.map(x => x.value)];
+  assert.ok(figures.every(f => f.unit !== 'money'));
+  assert.equal(a.netWorth.value, 1);
+  assert.equal(a.expenses.value, 40);
+  assert.equal(a.cash.value, 3);
+  assert.equal(a.debt.value, 25);
+  assert.equal(a.cardBalance.value, 25);
+  assert.equal(a.assets[1].value.value, 62.5);
+  assert.deepEqual(a.projection.rows[1], { year: 1, conservative: 1.1, expected: 1.2, optimistic: 1.3 });
+});
+
+test('anonymising redacts figures and the name from the analysis', () => {
+  const { analysis } = anonymiseReport(report);
+  assert.equal(analysis.headline, '[name] is [amount] from calm');
+  assert.equal(analysis.insights[0].body, '[name]\'s buffer covers 3 months at 60%.');
+  assert.equal(analysis.oneMove, 'Move [amount] to ETFs.');
+});
+
+test('ratios without a base are blank rather than infinite', () => {
+  const empty = buildReport({ name: '', month: '2026-10', finances: { ...finances, monthlyIncome: 0, expenses: 0, totals: {} }, cashFloor: 0, creditTarget: 0, status: {}, projection: [{ year: 0, expected: 0 }], analysis: null });
+  const a = anonymiseReport(empty);
+  assert.equal(a.netWorth.value, null);
+  assert.equal(a.cash.value, null);
+  assert.equal(a.projection.rows[0].expected, null);
+  assert.equal(a.analysis, null);
+});
+
+test('redact leaves percentages and plain counts alone', () => {
+  assert.equal(redact('Save 20% for 6 months, about 12,500 total or €300/week', 'Al'), 'Save 20% for 6 months, about [amount] total or [amount]/week');
+  assert.equal(redact(undefined, 'Sam'), undefined);
+});
+
+test('redact catches bare figures, currency codes and scales', () => {
+  assert.equal(redact('You hold 12000 in cash and AUD 4500 in ETFs; 3400 dollars/month', ''), 'You hold [amount] in cash and [amount] in ETFs; [amount]/month');
+  assert.equal(redact('Aim for 15k by June, then USD45 more and 1.2 million by 50', ''), 'Aim for [amount] by June, then [amount] more and [amount] by 50');
+  assert.equal(redact('Pay A$ 900 and 2,500.50 on 3 cards', ''), 'Pay [amount] and [amount] on 3 cards');
+  assert.equal(redact('A 1500% return is 4 years away at 7.5%', ''), 'A 1500% return is 4 years away at 7.5%');
+});
@@ -0,0 +1,80 @@
+// Financial independence: when the portfolio can fund spending at a chosen
+// withdrawal rate, with super locked until preservation age. Yearly steps in
+// today's dollars; a seeded Monte Carlo over normally distributed returns
+// gives the chance of being there by each age and a percentile fan.
+
+const MAX_AGE = 90;
+const PERCENTILES = [10, 25, 50, 75, 90];
+
+// mulberry32: small, fast and repeatable, so charts don't jitter between
+// renders.
+export function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const normal = (random) => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p / 100))];
+
+// Independent once the whole portfolio covers spending at the withdrawal
+// rate and, before preservation age, what's outside super can bridge the
+// years until super unlocks.
+const isFree = ({ age, accessible, locked, fiNumber, spending, preservationAge }) =>
+  accessible + locked >= fiNumber && accessible >= spending * Math.max(0, preservationAge - age);
+
+// `accessible` is invested money outside super. Contributions keep going
+// after independence, so the fan shows the portfolio, not drawdown.
+export function simulateRetirement({
+  age, accessible, super: superBalance = 0, contribution = 0, superContribution = 0, spending,
+  withdrawalRate = 0.04, preservationAge = 60, meanReturn = 0.07, volatility = 0.15,
+  inflation = 0, salaryGrowth = 0, runs = 1000, seed = 1,
+}) {
+  const fiNumber = withdrawalRate > 0 ? spending / withdrawalRate : Infinity;
+  const years = Math.max(1, MAX_AGE - age);
+  const realGrowth = (1 + salaryGrowth) / (1 + inflation) - 1;
+  const realReturn = (r) => (1 + r) / (1 + inflation) - 1;
+
+  const path = (draw) => {
+    let out = accessible, locked = superBalance;
+    let freeAt = isFree({ age, accessible: out, locked, fiNumber, spending, preservationAge }) ? age : null;
+    const totals = [out + locked];
+    for (let y = 1; y <= years; y++) {
+      const r = realReturn(draw());
+      const raise = Math.pow(1 + realGrowth, y - 1);
+      out = Math.max(0, out * (1 + r) + contribution * raise);
+      locked = Math.max(0, locked * (1 + r) + superContribution * raise);
+      if (freeAt === null && isFree({ age: age + y, accessible: out, locked, fiNumber, spending, preservationAge })) freeAt = age + y;
+      totals.push(out + locked);
+    }
+    return { freeAt, totals };
+  };
+
+  const expected = path(() => meanReturn);
+  const random = seededRandom(seed);
+  const sims = Array.from({ length: runs }, () => path(() => meanReturn + volatility * normal(random)));
+
+  const timeline = Array.from({ length: years + 1 }, (_, y) => {
+    const sorted = sims.map(p => p.totals[y]).sort((a, b) => a - b);
+    const [p10, p25, p50, p75, p90] = PERCENTILES.map(p => Math.round(percentile(sorted, p)));
+    return {
+      age: age + y,
+      success: sims.filter(p => p.freeAt !== null && p.freeAt <= age + y).length / runs,
+      p10, p25, p50, p75, p90,
+    };
+  });
+
+  return {
+    fiNumber,
+    expectedAge: expected.freeAt,
+    // The first age at which at least half the simulations are independent.
+    medianAge: timeline.find(t => t.success >= 0.5)?.age ?? null,
+    timeline,
+  };
+}
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { seededRandom, simulateRetirement } from './retirement.js';
+
+const base = { age: 40, accessible: 0, super: 0, contribution: 0, spending: 40000, runs: 200 };
+
+test('seededRandom repeats for a seed and stays in [0, 1)', () => {
+  const a = seededRandom(7), b = seededRandom(7);
+  const xs = Array.from({ length: 100 }, a);
+  assert.deepEqual(xs, Array.from({ length: 100 }, b));
+  assert.ok(xs.every(x => x >= 0 && x < 1));
+});
+
+test('the FI number is spending over the withdrawal rate', () => {
+  assert.equal(simulateRetirement({ ...base, withdrawalRate: 0.04 }).fiNumber, 1000000);
+});
+
+test('already independent with enough outside super', () => {
+  const r = simulateRetirement({ ...base, accessible: 1200000 });
+  assert.equal(r.expectedAge, 40);
+  assert.equal(r.timeline[0].success, 1);
+});
+
+test('super alone waits for the bridge to preservation age', () => {
+  const r = simulateRetirement({ ...base, super: 2000000, accessible: 100000, meanReturn: 0, volatility: 0 });
+  // $100k outside super bridges 2.5 years, so 58 is the first whole age.
+  assert.equal(r.expectedAge, 58);
+});
+
+test('no savings and no contributions never get there', () => {
+  const r = simulateRetirement({ ...base, volatility: 0 });
+  assert.equal(r.expectedAge, null);
+  assert.equal(r.medianAge, null);
+  assert.equal(r.timeline.at(-1).age, 90);
+});
+
+test('the fan is ordered and success only rises', () => {
+  const r = simulateRetirement({ ...base, contribution: 30000 });
+  for (const t of r.timeline) assert.ok(t.p10 <= t.p25 && t.p25 <= t.p50 && t.p50 <= t.p75 && t.p75 <= t.p90);
+  assert.ok(r.timeline.every((t, i) => i === 0 || t.success >= r.timeline[i - 1].success));
+  assert.deepEqual(simulateRetirement({ ...base, contribution: 30000 }), r);
+});
+
+test('a zero withdrawal rate is never reachable', () => {
+  assert.equal(simulateRetirement({ ...base, withdrawalRate: 0 }).fiNumber, Infinity);
+});
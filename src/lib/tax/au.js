@@ -0,0 +1,54 @@
+// Australian resident rules for 2025-26: income tax brackets, the low income
+// tax offset, Medicare levy, HELP repayments and the super guarantee. Amounts
+// are annual AUD.
+
+export const year = '2025-26';
+
+// [threshold, rate]: `rate` applies to each dollar above `threshold`.
+const brackets = [[18200, 0.16], [45000, 0.30], [135000, 0.37], [190000, 0.45]];
+
+const SUPER_GUARANTEE = 0.12;
+const CONTRIBUTIONS_TAX = 0.15;
+const CONCESSIONAL_CAP = 30000;
+
+const marginal = (income, steps) => steps.reduce((tax, [from, rate], i) => {
+  const to = steps[i + 1]?.[0] ?? Infinity;
+  return tax + Math.max(0, Math.min(income, to) - from) * rate;
+}, 0);
+
+export const incomeTax = (taxable) => marginal(taxable, brackets);
+
+// Up to $700, tapering to nothing at $66,667.
+export const lowIncomeOffset = (taxable) =>
+  taxable <= 37500 ? 700 : taxable <= 45000 ? 700 - (taxable - 37500) * 0.05 : Math.max(0, 325 - (taxable - 45000) * 0.015);
+
+// 2% of taxable income, shaded in at 10c per dollar above the low-income
+// threshold for singles.
+export const medicareLevy = (taxable) => Math.max(0, Math.min(taxable * 0.02, (taxable - 27222) * 0.1));
+
+// From 2025-26 HELP is repaid only on income above $67,000: 15c per dollar
+// up to $125,000, then $8,700 plus 17c. Repayment income adds back salary
+// sacrificed to super.
+export const helpRepayment = (repaymentIncome) =>
+  repaymentIncome <= 67000 ? 0 : repaymentIncome <= 125000 ? (repaymentIncome - 67000) * 0.15 : 8700 + (repaymentIncome - 125000) * 0.17;
+
+// `gross` is salary before super; the employer pays the guarantee on top.
+export function calculate({ gross, hasHelp = false, salarySacrifice = 0 }) {
+  const sacrifice = Math.min(Math.max(0, salarySacrifice), gross);
+  const taxable = gross - sacrifice;
+  const tax = Math.max(0, incomeTax(taxable) - lowIncomeOffset(taxable));
+  const medicare = medicareLevy(taxable);
+  const help = hasHelp ? helpRepayment(taxable + sacrifice) : 0;
+  const employer = gross * SUPER_GUARANTEE;
+  const concessional = employer + sacrifice;
+  const superTax = concessional * CONTRIBUTIONS_TAX;
+  return {
+    gross,
+    net: taxable - tax - medicare - help,
+    deductions: [['Salary sacrifice', sacrifice], ['Income tax', tax], ['Medicare levy', medicare], ['HELP', help]].filter(([, v]) => v > 0),
+    super: { employer, sacrifice, tax: superTax, net: concessional - superTax },
+    warnings: concessional > CONCESSIONAL_CAP ? [`Concessional contributions exceed the $${CONCESSIONAL_CAP.toLocaleString('en')} cap.`] : [],
+  };
+}
+
+export const au = { key: 'au', label: `Australia (resident, ${year})`, currency: 'AUD', calculate };
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { incomeTax, lowIncomeOffset, medicareLevy, helpRepayment, calculate } from './au.js';
+import { afterTax, taxRules, taxRegions } from './index.js';
+
+test('income tax follows the 2025-26 brackets', () => {
+  assert.equal(incomeTax(18200), 0);
+  assert.equal(incomeTax(45000), 4288);
+  assert.equal(incomeTax(100000), 20788);
+  assert.equal(incomeTax(200000), 4288 + 27000 + 20350 + 4500);
+});
+
+test('low income offset tapers out', () => {
+  assert.equal(lowIncomeOffset(30000), 700);
+  assert.equal(lowIncomeOffset(45000), 325);
+  assert.equal(lowIncomeOffset(70000), 0);
+});
+
+test('medicare levy shades in above the threshold', () => {
+  assert.equal(medicareLevy(20000), 0);
+  assert.ok(Math.abs(medicareLevy(30000) - 277.8) < 1e-6);
+  assert.equal(medicareLevy(100000), 2000);
+});
+
+test('HELP is repaid only above $67,000', () => {
+  assert.equal(helpRepayment(67000), 0);
+  assert.equal(helpRepayment(100000), 4950);
+  assert.equal(helpRepayment(135000), 8700 + 1700);
+});
+
+test('take-home pay and super on $100k', () => {
+  const r = calculate({ gross: 100000 });
+  assert.equal(r.net, 100000 - 20788 - 2000);
+  assert.deepEqual(r.super, { employer: 12000, sacrifice: 0, tax: 1800, net: 10200 });
+  assert.deepEqual(r.warnings, []);
+});
+
+test('salary sacrifice lowers tax but HELP still counts it', () => {
+  const r = calculate({ gross: 100000, salarySacrifice: 10000, hasHelp: true });
+  assert.equal(r.deductions.find(([l]) => l === 'HELP')[1], helpRepayment(100000));
+  assert.equal(r.super.sacrifice, 10000);
+});
+
+test('contributions over the cap warn', () => {
+  assert.equal(calculate({ gross: 200000, salarySacrifice: 10000 }).warnings.length, 1);
+});
+
+test('sacrifice is capped at gross', () => {
+  const r = calculate({ gross: 1000, salarySacrifice: 5000 });
+  assert.equal(r.net, 0);
+  assert.equal(r.super.sacrifice, 1000);
+});
+
+test('no region means income is already take-home', () => {
+  assert.equal(taxRules('none'), null);
+  assert.equal(afterTax('none', { gross: 60000 }).net, 60000);
+  assert.equal(afterTax(undefined, { gross: 60000 }).super.net, 0);
+  assert.deepEqual(taxRegions.map(([k]) => k), ['none', 'au']);
+});
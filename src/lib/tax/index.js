@@ -0,0 +1,16 @@
+// Tax rules by region. Each module exports `{ key, label, currency,
+// calculate }`, where `calculate({ gross, hasHelp, salarySacrifice })` takes
+// annual amounts and returns take-home pay, the deductions that got there and
+// retirement contributions. Add a region by registering its module here.
+
+import { au } from './au.js';
+
+const regions = { au };
+
+export const taxRegions = [['none', 'None — income is take-home'], ...Object.values(regions).map(r => [r.key, r.label])];
+
+export const taxRules = (region) => regions[region] || null;
+
+const untaxed = ({ gross }) => ({ gross, net: gross, deductions: [], super: { employer: 0, sacrifice: 0, tax: 0, net: 0 }, warnings: [] });
+
+export const afterTax = (region, input) => (regions[region]?.calculate || untaxed)(input);
@@ -0,0 +1,151 @@
+// Versioned save format: schema migrations, export/import files and
+// passphrase encryption (PBKDF2 → AES-GCM via WebCrypto) for both export
+// files and the locked copy in localStorage.
+
+import { holdingClasses, migrateLegacyAssets } from './holdings.js';
+import { debtTypes, migrateLegacyDebts } from './debts.js';
+import { grantTypes, cadences, migrateLegacyEquity } from './equity.js';
+import { priorities } from './goals.js';
+import { billCadences, billAccounts } from './bills.js';
+import { newProfile } from './profiles.js';
+import { defaultHousehold } from './household.js';
+
+export const SCHEMA_VERSION = 3;
+const APP = 'oneshot';
+const ITERATIONS = 310000;
+
+export class VaultError extends Error {
+  constructor(kind, message) {
+    super(message);
+    this.name = 'VaultError';
+    this.kind = kind;
+  }
+}
+
+// Each entry upgrades a state from version N to N + 1. Version 1 is the
+// original unversioned `{ form, analysis }`; version 3 holds several profiles.
+const migrations = {
+  1: (d) => ({ ...d, version: 2, form: migrateLegacyEquity(migrateLegacyDebts(migrateLegacyAssets(d.form || {}))) }),
+  2: ({ form, analysis, history, chat, ...rest }) => {
+    const profile = { ...newProfile(form), analysis: analysis || null, history: history || [], chat: chat || [] };
+    return { ...rest, version: 3, profiles: [profile], activeId: profile.id, household: defaultHousehold };
+  },
+};
+
+export function migrateState(data) {
+  let d = { ...data, version: data.version || 1 };
+  if (d.version > SCHEMA_VERSION) throw new VaultError('newer_version', `Saved with a newer version (${d.version}) of the app.`);
+  while (d.version < SCHEMA_VERSION) d = migrations[d.version](d);
+  return d;
+}
+
+const isObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+// Each item list in a form, what one item is called, and the fields that
+// must hold one of a fixed set of values. Lists added after a save was made
+// may be missing; the app fills them in.
+const itemLists = [
+  ['holdings', 'holding', { cls: holdingClasses }],
+  ['debts', 'debt', { type: debtTypes }],
+  ['grants', 'grant', { type: grantTypes, cadence: cadences }],
+  ['goals', 'goal', { priority: priorities }],
+  ['bills', 'bill', { cadence: billCadences, from: billAccounts }],
+];
+const fieldNames = { cls: 'class', from: 'account' };
+const settings = [['actuals', 'logged spending', isObject], ['returns', 'return assumptions', Array.isArray], ['fxRates', 'exchange rates', () => true]];
+
+function formProblem(form) {
+  if (!Array.isArray(form.holdings) || !Array.isArray(form.debts)) return 'has no holdings or debts list';
+  for (const [list, item, fields] of itemLists) {
+    if (form[list] === undefined) continue;
+    if (!Array.isArray(form[list])) return `has a damaged ${list} list`;
+    for (const x of form[list]) {
+      if (!isObject(x)) return `has a damaged ${list} list`;
+      for (const [field, values] of Object.entries(fields)) {
+        if (!values.some(([k]) => k === x[field])) return `has a ${item} with an unknown ${fieldNames[field] || field}`;
+      }
+    }
+  }
+  // Each is an object; `entry` checks its values.
+  const broken = settings.find(([k, , entry]) => form[k] !== undefined && !(isObject(form[k]) && Object.values(form[k]).every(entry)));
+  return broken ? `has damaged ${broken[1]}` : null;
+}
+
+// What the app needs from migrated state before it can replace the user's
+// data: every profile has an id and a form whose lists and choices it can
+// render.
+export function checkState(state) {
+  const profiles = state?.profiles;
+  if (!Array.isArray(profiles) || !profiles.length) throw new VaultError('invalid', 'No profile found.');
+  const ids = new Set();
+  profiles.forEach((p, i) => {
+    const problem = !isObject(p) ? 'isn\'t a profile'
+      : typeof p.id !== 'string' || !p.id ? 'has no id'
+      : ids.has(p.id) ? 'repeats another profile\'s id'
+      : !isObject(p.form) ? 'has no form'
+      : formProblem(p.form);
+    if (problem) throw new VaultError('invalid', `Profile ${i + 1} ${problem}.`);
+    ids.add(p.id);
+  });
+  if (state.household !== undefined && !isObject(state.household)) throw new VaultError('invalid', 'The household settings are damaged.');
+  return state;
+}
+
+const toBase64 = (bytes) => {
+  let s = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(s);
+};
+const fromBase64 = (s) => Uint8Array.from(atob(s), c => c.charCodeAt(0));
+
+const deriveKey = async (passphrase, salt) => crypto.subtle.deriveKey(
+  { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: ITERATIONS },
+  await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']),
+  { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt'],
+);
+
+// A key with its salt, derived once and reused for every save while the
+// passphrase stands; each save still gets a fresh IV.
+export async function createKey(passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  return { salt, key: await deriveKey(passphrase, salt) };
+}
+
+// `secret` is a passphrase or a key from `createKey`.
+export async function encrypt(data, secret) {
+  const { salt, key } = typeof secret === 'string' ? await createKey(secret) : secret;
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(data)));
+  return { kdf: 'PBKDF2-SHA256', iterations: ITERATIONS, salt: toBase64(salt), iv: toBase64(iv), ciphertext: toBase64(new Uint8Array(ciphertext)) };
+}
+
+export async function decrypt(box, passphrase) {
+  if (!passphrase) throw new VaultError('needs_passphrase', 'This file is encrypted.');
+  try {
+    const key = await deriveKey(passphrase, fromBase64(box.salt));
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(box.iv) }, key, fromBase64(box.ciphertext));
+    return JSON.parse(new TextDecoder().decode(plain));
+  } catch {
+    throw new VaultError('wrong_passphrase', 'That passphrase doesn\'t open this file.');
+  }
+}
+
+export const isLocked = (stored) => !!stored?.encrypted;
+
+export async function exportFile(state, passphrase) {
+  const data = { ...state, version: SCHEMA_VERSION };
+  const file = { app: APP, version: SCHEMA_VERSION, exportedAt: new Date().toISOString() };
+  return JSON.stringify(passphrase ? { ...file, encrypted: await encrypt(data, passphrase) } : { ...file, data }, null, 2);
+}
+
+// Parses, decrypts, migrates and checks an export file (or a bare legacy
+// `{ form, analysis }` blob) into current-version state.
+export async function importFile(text, passphrase) {
+  let file;
+  try { file = JSON.parse(text); } catch { throw new VaultError('invalid', 'Not a JSON file.'); }
+  if (!file || typeof file !== 'object') throw new VaultError('invalid', 'Not an export file.');
+  const data = file.encrypted ? await decrypt(file.encrypted, passphrase) : file.app === APP ? file.data : file;
+  const hasForm = data && typeof data.form === 'object' && !Array.isArray(data.form);
+  if (!hasForm && !(Array.isArray(data?.profiles) && data.profiles.length)) throw new VaultError('invalid', 'No profile found in this file.');
+  return checkState(migrateState(data));
+}
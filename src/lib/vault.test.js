@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SCHEMA_VERSION, migrateState, checkState, createKey, encrypt, decrypt, exportFile, importFile } from './vault.js';
+
+const legacy = { form: { name: 'Sam', etfs: '5000', creditBalance: '300', equityValue: '' }, analysis: null };
+
+test('version 1 state migrates to profiles', () => {
+  const state = migrateState(legacy);
+  assert.equal(state.version, SCHEMA_VERSION);
+  const [p] = state.profiles;
+  assert.equal(state.activeId, p.id);
+  assert.equal(p.form.holdings[0].value, '5000');
+  assert.equal(p.form.debts[0].balance, '300');
+  assert.deepEqual(p.form.grants, []);
+});
+
+test('newer saves are refused', () => {
+  assert.throws(() => migrateState({ version: SCHEMA_VERSION + 1 }), { name: 'VaultError', kind: 'newer_version' });
+});
+
+test('plain exports round-trip', async () => {
+  const state = migrateState(legacy);
+  assert.deepEqual(await importFile(await exportFile(state)), state);
+});
+
+test('encrypted exports need the right passphrase', async () => {
+  const state = migrateState(legacy);
+  const text = await exportFile(state, 'correct horse');
+  assert.doesNotMatch(text, /Sam/);
+  await assert.rejects(importFile(text), { kind: 'needs_passphrase' });
+  await assert.rejects(importFile(text, 'wrong'), { kind: 'wrong_passphrase' });
+  assert.deepEqual(await importFile(text, 'correct horse'), state);
+});
+
+test('a derived key is reused across saves with a fresh IV each time', async () => {
+  const key = await createKey('correct horse');
+  const [a, b] = [await encrypt({ n: 1 }, key), await encrypt({ n: 2 }, key)];
+  assert.equal(a.salt, b.salt);
+  assert.notEqual(a.iv, b.iv);
+  assert.deepEqual(await decrypt(b, 'correct horse'), { n: 2 });
+  await assert.rejects(decrypt(a, 'wrong'), { kind: 'wrong_passphrase' });
+});
+
+test('files without a profile are rejected', async () => {
+  await assert.rejects(importFile('not json'), { kind: 'invalid' });
+  await assert.rejects(importFile('{"hello":1}'), { kind: 'invalid' });
+});
+
+test('every profile must have an id and a form with item lists', async () => {
+  const file = (profiles) => JSON.stringify({ version: SCHEMA_VERSION, profiles, activeId: 'a' });
+  const form = { holdings: [], debts: [] };
+  await assert.rejects(importFile(file([{}])), { kind: 'invalid', message: 'Profile 1 has no id.' });
+  await assert.rejects(importFile(file([{ id: 'a', form }, { form }])), { message: 'Profile 2 has no id.' });
+  await assert.rejects(importFile(file([{ id: 'a', form }, { id: 'a', form }])), { message: 'Profile 2 repeats another profile\'s id.' });
+  await assert.rejects(importFile(file([{ id: 'a', form: 'x' }])), { message: 'Profile 1 has no form.' });
+  await assert.rejects(importFile(file([{ id: 'a', form: { holdings: [] } }])), { message: 'Profile 1 has no holdings or debts list.' });
+  assert.equal((await importFile(file([{ id: 'a', form }]))).profiles.length, 1);
+});
+
+test('checkState rejects lists and choices the app cannot show', () => {
+  const check = (over) => () => checkState({ profiles: [{ id: 'a', form: { holdings: [], debts: [], ...over } }] });
+  const debt = { id: 'd', type: 'card', balance: '100' };
+  const grant = { id: 'g', type: 'option', cadence: 'monthly' };
+  const cases = [
+    [{ debts: [{ ...debt, type: 'payday' }] }, 'Profile 1 has a debt with an unknown type.'],
+    [{ debts: [null] }, 'Profile 1 has a damaged debts list.'],
+    [{ holdings: [{ id: 'h', cls: 'bonds' }] }, 'Profile 1 has a holding with an unknown class.'],
+    [{ grants: [{ ...grant, type: 'warrant' }] }, 'Profile 1 has a grant with an unknown type.'],
+    [{ grants: [{ ...grant, cadence: 'daily' }] }, 'Profile 1 has a grant with an unknown cadence.'],
+    [{ goals: [{ id: 'x', priority: 'urgent' }] }, 'Profile 1 has a goal with an unknown priority.'],
+    [{ goals: {} }, 'Profile 1 has a damaged goals list.'],
+    [{ bills: [{ id: 'b', cadence: 'monthly', from: 'savings' }] }, 'Profile 1 has a bill with an unknown account.'],
+    [{ actuals: { '2026-01': 'lots' } }, 'Profile 1 has damaged logged spending.'],
+    [{ returns: { etfs: '7' } }, 'Profile 1 has damaged return assumptions.'],
+    [{ fxRates: [] }, 'Profile 1 has damaged exchange rates.'],
+  ];
+  for (const [over, message] of cases) assert.throws(check(over), { kind: 'invalid', message });
+  assert.doesNotThrow(check({
+    debts: [debt], grants: [grant], goals: [{ id: 'x', priority: 'high' }], bills: [{ id: 'b', cadence: 'annual', from: 'cash' }],
+    actuals: { '2026-01': { rent: '2000' } }, returns: { etfs: ['4', '7', '10'] }, fxRates: { USD: '1.5' },
+  }));
+});
+
+test('checkState rejects damaged household settings', () => {
+  const profiles = [{ id: 'a', form: { holdings: [], debts: [] } }];
+  assert.throws(() => checkState({ profiles, household: [] }), { kind: 'invalid' });
+  assert.doesNotThrow(() => checkState({ profiles }));
+});